@@ -0,0 +1,209 @@
+/*
+    Dict with a reverse index of its values.
+    The index is maintained with the events of the map, so that it is consistent with timer expiry.
+*/
+
+import { Dict } from './index.js';
+import { result, CHANGES } from './util.js';
+
+/**
+ * A map with a reverse index, to retrieve the key of a value in constant time.
+ * By default, values are unique: setting a value that belongs to another key throws an error.
+ * Values loaded asynchronously by `ensureAsync` are checked once loaded, and reject the load.
+ * Values loaded by a `refresher` replace the other key instead,
+ * as well as a value set to several new keys within a transaction.
+ * @example
+ * const sessions = new BiDict();
+ * sessions.set('user', 'token');
+ * sessions.getKey('token'); // 'user'
+ */
+export class BiDict extends Dict
+{
+    #reverse = new Map(); // value → Set of keys
+    #unique = true;
+    #listener = event => this.#index(event);
+
+    constructor(...entries)
+    {
+        super();
+        for (const event of CHANGES)
+            super.on(event, this.#listener);
+        for (const entry of entries) {
+            if (entry instanceof Map)
+                entry.forEach((value, key) => this.set(key, value));
+            else if (entry instanceof Array)
+                this.set(...entry);
+            else for (const key in entry)
+                this.set(key, entry[key]);
+        }
+    }
+
+    /**
+     * Configure the map; see `Dict#configure`.
+     * @param {Object} options
+     * @param {Boolean?} options.unique
+     * Whether each value can belong to a single key. Default is `true`.
+     * Existing duplicated values are not affected.
+     */
+    configure(options)
+    {
+        const { unique, ...rest } = options;
+        if (unique !== undefined)
+            this.#unique = !!unique;
+        return super.configure(rest);
+    }
+
+    /**
+     * Get the key of a value.
+     * @param value The value of the element.
+     * @return The key of the first element with `value`, or `undefined` if it does not exist.
+     */
+    getKey(value)
+    {
+        return this.#keys(value)?.values().next().value;
+    }
+
+    /**
+     * Get the keys of a value.
+     * @param value The value of the elements.
+     * @return {Array} The keys of the elements with `value`, in insertion order.
+     */
+    getKeys(value)
+    {
+        return [...this.#keys(value) ?? []];
+    }
+
+    /**
+     * Check if an element with a value exists.
+     * @param value The value of the element.
+     */
+    hasValue(value)
+    {
+        return this.#keys(value) !== undefined;
+    }
+
+    /**
+     * Delete the elements with a value.
+     * @param value The value of the elements.
+     * @return The number of deleted elements.
+     */
+    deleteValue(value)
+    {
+        const keys = this.getKeys(value);
+        for (const key of keys)
+            this.delete(key);
+        return keys.length;
+    }
+
+    /**
+     * Add or update an element; see `Dict#set`.
+     * Throws an error if the values are unique, and `value` belongs to another key.
+     */
+    set(key, value, timeout)
+    {
+        this.#check(key, value);
+        return super.set(key, value, timeout);
+    }
+
+    /**
+     * Add a new element; see `Dict#add`.
+     * Throws an error if the values are unique, and `value` belongs to another key.
+     */
+    add(key, value, timeout)
+    {
+        return super.add(key, () => this.#check(key, result(value, key, this)), timeout);
+    }
+
+    /**
+     * Update an existing element; see `Dict#update`.
+     * Throws an error if the values are unique, and `value` belongs to another key.
+     */
+    update(key, value, timeout)
+    {
+        return super.update(key, () => this.#check(key, result(value, key, this)), timeout);
+    }
+
+    /**
+     * Get an element if it exists, otherwise sets and returns `defval`; see `Dict#ensure`.
+     * Throws an error if the values are unique, and `defval` belongs to another key.
+     */
+    ensure(key, defval, timeout, refreshTimeout)
+    {
+        return super.ensure(key, () => this.#check(key, result(defval, key, this)), timeout, refreshTimeout);
+    }
+
+    /**
+     * Get an element if it exists, otherwise loads it asynchronously; see `Dict#ensureAsync`.
+     * Rejects with an error if the values are unique, and the loaded value belongs to another key.
+     */
+    ensureAsync(key, loader, timeout, errorTimeout, refreshTimeout)
+    {
+        const load = async (key, map) => this.#check(key, await loader(key, map));
+        return super.ensureAsync(key, load, timeout, errorTimeout, refreshTimeout);
+    }
+
+    off(event, fn)
+    {
+        super.off(event, fn);
+        // Removing all the listeners of an event must not remove the index listener.
+        if (fn === undefined && CHANGES.includes(event))
+            super.on(event, this.#listener);
+        return this;
+    }
+
+    destroy()
+    {
+        super.destroy();
+        this.#reverse.clear();
+    }
+
+    #keys(value)
+    {
+        // Reading the size deletes the expired elements.
+        return this.size ? this.#reverse.get(value) : undefined;
+    }
+
+    // Throw if `value` belongs to another key, otherwise return it.
+    #check(key, value)
+    {
+        if (!this.#unique) return value;
+        for (const other of this.#keys(value) ?? [])
+            if (other !== key && this.#holds(other, value))
+                throw new Error('The value belongs to another key');
+        return value;
+    }
+
+    // Whether an element still has a value; the index is outdated while a transaction is being applied.
+    #holds(key, value)
+    {
+        return this.ttl(key) !== undefined && Object.is(this.peek(key), value);
+    }
+
+    #index({ type, key, value, oldValue })
+    {
+        if (type === 'update') {
+            if (Object.is(value, oldValue)) return;
+            this.#unlink(key, oldValue);
+        }
+        if (type !== 'set' && type !== 'update') {
+            this.#unlink(key, value);
+            return;
+        }
+        if (this.#unique) {
+            for (const other of this.#reverse.get(value) ?? [])
+                if (other !== key) this.delete(other);
+        }
+        const keys = this.#reverse.get(value);
+        if (keys) keys.add(key);
+        else this.#reverse.set(value, new Set([key]));
+    }
+
+    #unlink(key, value)
+    {
+        const keys = this.#reverse.get(value);
+        if (keys?.delete(key) && !keys.size)
+            this.#reverse.delete(value);
+    }
+}
+
+export default { BiDict };
@@ -0,0 +1,89 @@
+/*
+    Clocks used by a Dict to measure time and schedule timers.
+    A clock implements `now()`, `setTimeout(fn,ms)` and `clearTimeout(timer)`.
+*/
+
+/**
+ * The system clock, based on `Date.now` and the global timer functions.
+ */
+export const systemClock = Object.freeze({
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: timer => clearTimeout(timer)
+});
+
+/**
+ * A clock that only advances when requested, for deterministic testing.
+ * @example
+ * const clock = new ManualClock();
+ * const map = new Dict().configure({ clock });
+ * map.set('key', 'value', 1000);
+ * clock.advance(1000); // map.has('key') === false
+ */
+export class ManualClock
+{
+    #now;
+    #timers = new Map(); // id → {fn,time}
+    #id = 0;
+
+    /**
+     * @param {Number} now The initial time, in milliseconds since the epoch.
+     */
+    constructor(now=0)
+    {
+        this.#now = now;
+    }
+
+    /**
+     * Get the current time, in milliseconds since the epoch.
+     */
+    now()
+    {
+        return this.#now;
+    }
+
+    /**
+     * Schedule a function to be called once the clock advances `ms` milliseconds.
+     * @return The identifier of the timer.
+     */
+    setTimeout(fn, ms)
+    {
+        this.#timers.set(++this.#id, { fn, time: this.#now + Math.max(0, ms) });
+        return this.#id;
+    }
+
+    /**
+     * Cancel a timer created by `setTimeout`.
+     */
+    clearTimeout(timer)
+    {
+        this.#timers.delete(timer);
+    }
+
+    /**
+     * Advance the clock, calling the due timers in order.
+     * @param {Number} ms The number of milliseconds to advance.
+     * @return The number of timers called.
+     */
+    advance(ms=0)
+    {
+        const end = this.#now + ms;
+        let count = 0;
+        for (let entry; (entry = this.#next(end)); ++count) {
+            this.#timers.delete(entry[0]);
+            this.#now = Math.max(this.#now, entry[1].time);
+            entry[1].fn();
+        }
+        this.#now = end;
+        return count;
+    }
+
+    #next(end)
+    {
+        let next;
+        for (const entry of this.#timers)
+            if (entry[1].time <= end && (!next || entry[1].time < next[1].time))
+                next = entry;
+        return next;
+    }
+}
@@ -0,0 +1,127 @@
+/*
+    Eviction policies used to bound the size of a Dict.
+    Each policy tracks the keys of the map and selects the next key to evict.
+*/
+
+/**
+ * First In, First Out: evicts the element that was added first.
+ */
+export class FIFO
+{
+    #keys = new Set();
+
+    add(key)
+    {
+        this.#keys.add(key);
+    }
+
+    access(_key)
+    {
+        // Reads do not affect the insertion order.
+    }
+
+    delete(key)
+    {
+        this.#keys.delete(key);
+    }
+
+    victim()
+    {
+        return this.#keys.values().next().value;
+    }
+}
+
+/**
+ * Least Recently Used: evicts the element that was not accessed for the longest time.
+ */
+export class LRU
+{
+    #keys = new Set();
+
+    add(key)
+    {
+        this.#keys.add(key);
+    }
+
+    access(key)
+    {
+        if (this.#keys.delete(key))
+            this.#keys.add(key);
+    }
+
+    delete(key)
+    {
+        this.#keys.delete(key);
+    }
+
+    victim()
+    {
+        return this.#keys.values().next().value;
+    }
+}
+
+/**
+ * Least Frequently Used: evicts the element with the fewest accesses.
+ * Ties are resolved by evicting the least recently used element.
+ */
+export class LFU
+{
+    #counts = new Map(); // key → count
+    #buckets = new Map(); // count → Set(key)
+    #min = 0;
+
+    add(key)
+    {
+        this.delete(key);
+        this.#counts.set(key, 1);
+        this.#bucket(1).add(key);
+        this.#min = 1;
+    }
+
+    access(key)
+    {
+        const count = this.#counts.get(key);
+        if (count === undefined) return;
+        this.#remove(key, count);
+        if (this.#min === count && !this.#buckets.has(count))
+            this.#min = count + 1;
+        this.#counts.set(key, count + 1);
+        this.#bucket(count + 1).add(key);
+    }
+
+    delete(key)
+    {
+        const count = this.#counts.get(key);
+        if (count === undefined) return;
+        this.#counts.delete(key);
+        this.#remove(key, count);
+    }
+
+    victim()
+    {
+        if (!this.#counts.size) return;
+        while (!this.#buckets.has(this.#min))
+            ++this.#min;
+        return this.#buckets.get(this.#min).values().next().value;
+    }
+
+    #bucket(count)
+    {
+        let bucket = this.#buckets.get(count);
+        if (!bucket) this.#buckets.set(count, bucket = new Set());
+        return bucket;
+    }
+
+    #remove(key, count)
+    {
+        const bucket = this.#buckets.get(count);
+        bucket.delete(key);
+        if (!bucket.size) this.#buckets.delete(count);
+    }
+}
+
+export const policies = {
+    fifo: FIFO,
+    lru: LRU,
+    lfu: LFU
+};
@@ -0,0 +1,150 @@
+/*
+    Async iterator of the changes of a Dict, as they happen.
+    The records are the event objects emitted by the map; see `Dict#on`.
+*/
+
+import { CHANGES } from './util.js';
+
+/**
+ * An async iterator of the changes of a map.
+ * The listeners are added when the feed is created, and removed when it ends.
+ * Records that are not consumed are buffered, up to `highWaterMark` records.
+ * @example
+ * for await (const { type, key, value } of map.changes({ signal }))
+ *     console.log(type, key, value);
+ */
+export class ChangeFeed
+{
+    #map;
+    #filter;
+    #signal;
+    #highWaterMark;
+    #overflow;
+    #buffer = [];
+    #pending = []; // {resolve,reject}
+    #error = null;
+    #done = false;
+    #listener = event => this.#push(event);
+    #abort = () => this.#fail(this.#signal.reason, true);
+    #close = () => this.return();
+
+    /**
+     * @param {Dict} map The map whose changes are iterated.
+     * @param {Function?} filter `Function(record)` that selects the records to iterate.
+     * @param {Object?} options See `Dict#changes`.
+     */
+    constructor(map, filter, options)
+    {
+        const {
+            signal = null,
+            snapshot = false,
+            highWaterMark = Infinity,
+            overflow = 'drop'
+        } = options ?? {};
+        if (!['drop', 'error'].includes(overflow))
+            throw new TypeError(`Invalid overflow policy: ${overflow}`);
+        if (!(highWaterMark >= 1))
+            throw new RangeError(`Invalid highWaterMark: ${highWaterMark}`);
+        signal?.throwIfAborted();
+        this.#map = map;
+        this.#filter = filter;
+        this.#signal = signal;
+        this.#highWaterMark = highWaterMark;
+        this.#overflow = overflow;
+        if (snapshot) {
+            for (const [key, { value, timeout, expires }] of map.metadata()) {
+                const record = timeout === undefined
+                    ? { type: 'set', key, value }
+                    : { type: 'set', key, value, timeout, expires };
+                if (!filter || filter(record))
+                    this.#buffer.push(record);
+            }
+        }
+        for (const event of CHANGES)
+            map.on(event, this.#listener);
+        map.on('destroy', this.#close);
+        signal?.addEventListener('abort', this.#abort, { once: true });
+    }
+
+    /**
+     * The number of buffered records.
+     */
+    get size()
+    {
+        return this.#buffer.length;
+    }
+
+    /**
+     * Get the next record, waiting for a change if none is buffered.
+     * @return {Promise<Object>} `{value,done}`
+     */
+    next()
+    {
+        if (this.#buffer.length)
+            return Promise.resolve({ value: this.#buffer.shift(), done: false });
+        if (this.#error) {
+            const error = this.#error;
+            this.#error = null;
+            return Promise.reject(error);
+        }
+        if (this.#done)
+            return Promise.resolve({ value: undefined, done: true });
+        return new Promise((resolve, reject) => this.#pending.push({ resolve, reject }));
+    }
+
+    /**
+     * Stop iterating the changes, and discard the buffered records.
+     * @return {Promise<Object>} `{value,done}`
+     */
+    return(value)
+    {
+        this.#end();
+        this.#buffer = [];
+        for (const { resolve } of this.#pending.splice(0))
+            resolve({ value: undefined, done: true });
+        return Promise.resolve({ value, done: true });
+    }
+
+    [Symbol.asyncIterator]()
+    {
+        return this;
+    }
+
+    #push(record)
+    {
+        if (this.#filter && !this.#filter(record)) return;
+        const pending = this.#pending.shift();
+        if (pending)
+            return pending.resolve({ value: record, done: false });
+        if (this.#buffer.length >= this.#highWaterMark) {
+            if (this.#overflow === 'error')
+                return this.#fail(new RangeError('The buffer of the change feed is full'), false);
+            this.#buffer.shift();
+        }
+        this.#buffer.push(record);
+    }
+
+    // End the iteration with an error, after the buffered records unless `discard` is set.
+    #fail(error, discard)
+    {
+        this.#end();
+        if (discard) this.#buffer = [];
+        const pending = this.#pending.splice(0);
+        if (pending.length) pending[0].reject(error);
+        else this.#error = error;
+        for (const { resolve } of pending.slice(1))
+            resolve({ value: undefined, done: true });
+    }
+
+    #end()
+    {
+        if (this.#done) return;
+        this.#done = true;
+        for (const event of CHANGES)
+            this.#map.off(event, this.#listener);
+        this.#map.off('destroy', this.#close);
+        this.#signal?.removeEventListener('abort', this.#abort);
+    }
+}
+
+export default { ChangeFeed };
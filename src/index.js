@@ -5,23 +5,97 @@
 
 // import { setTimeout, clearTimeout } from 'node:timers';
 
-function result(fn, ...args) {
-    return typeof(fn) === 'function' ? fn(...args) : fn;
+import { systemClock, ManualClock } from './clock.js';
+import { policies } from './eviction.js';
+import { ChangeFeed } from './feed.js';
+import { Transaction } from './transaction.js';
+import { Query } from './query.js';
+import { Scheduler } from './scheduler.js';
+import { Tree } from './tree.js';
+import { result, CHANGES } from './util.js';
+
+// Events emitted when an element is removed, by reason.
+const EVENTS = {
+    deleted: 'delete',
+    swept: 'delete',
+    expired: 'expire',
+    evicted: 'evict'
+};
+
+// Statistics counted when an element is removed, by reason.
+const STATS = {
+    expired: 'expirations',
+    evicted: 'evictions'
+};
+
+// Options that can be specified per element, along with the timeout.
+const TIMER_OPTIONS = ['staleTimeout', 'refreshAhead', 'refresher'];
+
+const dispose = Symbol.dispose ?? Symbol.for('nodejs.dispose');
+const asyncDispose = Symbol.asyncDispose ?? Symbol.for('nodejs.asyncDispose');
+
+/**
+ * Get the timeout options of an item, with the specified timeout.
+ * @param {Object} item The item.
+ * @param {undefined|null|Number} timeout The timeout.
+ * @param {Number} now The current time, in milliseconds since the epoch.
+ * @returns {undefined|null|Number|Object}
+ */
+function getItemOptions(item, timeout, now) {
+    let options;
+    for (const name of TIMER_OPTIONS)
+        if (item.timer?.[name] !== undefined)
+            (options ??= { timeout })[name] = item.timer[name];
+    if (item.timer?.limit !== undefined)
+        (options ??= { timeout }).maxAge = item.timer.limit - now;
+    return options ?? timeout;
+}
+
+/**
+ * Check if an item has the same value, disposer and timer as another.
+ * @param {Object?} item The item.
+ * @param {Object} other The other item.
+ * @returns {Boolean}
+ */
+function isSameItem(item, other) {
+    if (!item || !Object.is(item.value, other.value) || item.dispose !== other.dispose)
+        return false;
+    if (!item.timer || !other.timer)
+        return !item.timer && !other.timer;
+    return ['timeout', 'deadline', 'limit', ...TIMER_OPTIONS]
+        .every(name => item.timer[name] === other.timer[name]);
+}
+
+/**
+ * Capture the state of an item, including its timer; see `Dict#snapshot`.
+ * @param {Object} item The item.
+ * @returns {Object}
+ */
+function getItemState(item) {
+    const state = { value: item.value, dispose: item.dispose };
+    if (item.timer) {
+        const { timeout, deadline, limit } = item.timer;
+        state.timer = { timeout, deadline, limit };
+        for (const name of TIMER_OPTIONS)
+            state.timer[name] = item.timer[name];
+    }
+    return state;
 }
 
 /**
  * Get the timeout of an item, and adjusts it if necessary.
  * @param {Object} item The item.
  * @param {Boolean} remaining Whether to determine the remaining timeout.
+ * @param {Number} now The current time, in milliseconds since the epoch.
  * @returns {undefined|null|Number}
  * - Returns the timeout if the item has a valid timer.
  * - Returns `undefined` if the item does not have a timer.
  * - Returns `null` if the item's timeout has expired.
  */
-function getItemTimeout(item, remaining) {
+function getItemTimeout(item, remaining, now) {
     if (!item?.timer || !remaining)
         return item?.timer?.timeout;
-    const timeout = item.timer.timeout - (Date.now() - item.timer.timestamp);
+    const timeout = item.timer.deadline - now;
     return timeout > 0 ? timeout : null;
 }
 
@@ -30,18 +104,337 @@ function getItemTimeout(item, remaining) {
  */
 export class Dict extends Map
 {
+    #events = new Map();
+    #maxSize = Infinity;
+    #policy = null;
+    #scheduler = new Scheduler(timer => this.#expireItem(timer));
+    #loading = new Map(); // key → Promise
+    #errors = null; // key → {error}
+    #refreshing = new Map(); // key → Promise
+    #staleTimeout = 0;
+    #refreshAhead = 0;
+    #refresher = null;
+    #maxAge = 0;
+    #timeout = undefined;
+    #refreshTimeout = true;
+    #disposer = null;
+    #destroyed = false;
+    #sorted = null; // 'key' or 'value'
+    #indexed = false;
+    #compare = null;
+    #tree = null;
+    #seq = 0;
+    #stats = null; // {hits,misses,sets,deletes,expirations,evictions,lifetime}
+    #deferred = null; // {changes,tasks,undo,order} of the transaction being committed
+
     constructor(...entries)
     {
         super();
+        this.#assign(entries);
+    }
 
-        for (const entry of entries) {
-            if (entry instanceof Dict)
-                this.concat(entry);
-            else if (entry instanceof Array)
-                this.set(...entry);
-            else for (const key in entry)
-                this.set(key, entry[key]);
+    /**
+     * Create a map with the specified options.
+     * @param {Object} options The options of the map; see `configure`.
+     * @param entries Objects, `[key,value,timeout]` arrays or maps whose elements are added.
+     * @return {Dict} The new map.
+     */
+    static create(options, ...entries)
+    {
+        const map = new this().configure(options);
+        map.#assign(entries);
+        return map;
+    }
+
+    /**
+     * Create a map from key/value pairs.
+     * @param {Iterable|Object} iterable An iterable of `[key,value]` pairs, or an object.
+     * @param {Object?} options The options of the map; see `configure`.
+     * The `timeout` option is applied to the created elements only.
+     * @return {Dict} The new map.
+     */
+    static from(iterable, options)
+    {
+        const { timeout, ...config } = options ?? {};
+        const map = this.create(config);
+        const entries = iterable?.[Symbol.iterator] ? iterable : Object.entries(iterable);
+        for (const [key, value] of entries)
+            map.set(key, value, timeout);
+        return map;
+    }
+
+    /**
+     * Create a map from key/value pairs yielded by an async iterable, such as a stream.
+     * @param {AsyncIterable|Iterable} iterable An iterable of `[key,value]` pairs.
+     * @param {Object?} options The options of the map; see `from`.
+     * @return {Promise<Dict>} The new map.
+     */
+    static async fromAsync(iterable, options)
+    {
+        const { timeout, ...config } = options ?? {};
+        const map = this.create(config);
+        for await (const [key, value] of iterable)
+            map.set(key, value, timeout);
+        return map;
+    }
+
+    /**
+     * Group the values of an iterable by the key returned by a function.
+     * @param {Iterable} iterable The values to group.
+     * @param {Function} fn `Function(value,index)` that returns the key of the group.
+     * @param {Object?} options The options of the map; see `from`.
+     * @param {Function?} options.keyBy
+     * `Function(value,index)` that returns the key of the value in the group.
+     * If specified, the groups are maps instead of arrays.
+     * @return {Dict} A map of groups.
+     */
+    static groupBy(iterable, fn, options)
+    {
+        const { timeout, keyBy, ...config } = options ?? {};
+        const map = this.create(config);
+        let index = 0;
+        for (const value of iterable) {
+            const key = fn(value, index);
+            if (keyBy) {
+                map.ensure(key, () => new this().configure(config), timeout, false)
+                    .set(keyBy(value, index), value, timeout);
+            } else map.ensure(key, () => [], timeout, false).push(value);
+            ++index;
+        }
+        return map;
+    }
+
+    /**
+     * Create a map of the values of an iterable by the key returned by a function.
+     * If several values have the same key, the last one is kept.
+     * @param {Iterable} iterable The values.
+     * @param {Function} fn `Function(value,index)` that returns the key of the value.
+     * @param {Object?} options The options of the map; see `from`.
+     * @return {Dict} The new map.
+     */
+    static keyBy(iterable, fn, options)
+    {
+        const { timeout, ...config } = options ?? {};
+        const map = this.create(config);
+        let index = 0;
+        for (const value of iterable)
+            map.set(fn(value, index++), value, timeout);
+        return map;
+    }
+
+    /**
+     * Count the values of an iterable by the key returned by a function.
+     * @param {Iterable} iterable The values to count.
+     * @param {Function} fn `Function(value,index)` that returns the key of the value.
+     * @param {Object?} options The options of the map; see `from`.
+     * @return {Dict} A map of counts.
+     */
+    static countBy(iterable, fn, options)
+    {
+        const { timeout, ...config } = options ?? {};
+        const map = this.create(config);
+        let index = 0;
+        for (const value of iterable) {
+            const key = fn(value, index++);
+            const count = map.get(key, false);
+            if (count === undefined) map.set(key, 1, timeout);
+            else map.set(key, count + 1, null);
         }
+        return map;
+    }
+
+    /**
+     * Configure the behavior of the map.
+     * @param {Object} options The options to change.
+     * @param {null|Number?} options.timeout
+     * Default timeout, in milliseconds, of the new elements added with an `undefined` timeout.
+     * Specify `null` to add them without a timer. This is the default.
+     * @param {Boolean?} options.refreshTimeout
+     * Default value of the `refreshTimeout` parameter of the methods that retrieve or copy elements. Default is `true`.
+     * @param {Boolean?} options.unref
+     * Whether pending expirations do not keep the Node.js process alive. Default is `false`.
+     * @param {Boolean?} options.lazy
+     * Whether to expire the elements without timers. Default is `false`.
+     * Only expiration deadlines are stored, and elements whose deadline has passed are deleted when the map is accessed.
+     * The observable behavior, including the events, is identical to the timer mode.
+     * @param {Number?} options.sweepInterval
+     * Milliseconds between background sweeps that delete the expired elements. Default is `0` (disabled).
+     * @param {Number?} options.sweepLimit
+     * Maximum number of elements deleted by each background sweep. Default is `Infinity`.
+     * @param {Function?} options.dispose
+     * `Function(value,key,reason)` called when an element is removed, to release its resources.
+     * The `reason` is one of `replaced`, `deleted`, `swept`, `expired`, `evicted`, `destroyed`.
+     * @param {Number?} options.maxSize
+     * Maximum number of elements. When the map is full, adding a new element evicts another one.
+     * Specify `Infinity` to remove the limit. This is the default.
+     * @param {String|Object?} options.policy
+     * Eviction policy used to select the element to evict:
+     * - `lru` — Least recently used; setting and retrieving with `refreshTimeout` counts as access. This is the default.
+     * - `lfu` — Least frequently used; ties are resolved by evicting the least recently used.
+     * - `fifo` — First in, first out; in insertion order.
+     * - An object that implements `add(key)`, `access(key)`, `delete(key)` and `victim()`.
+     * @param {Object?} options.clock
+     * Clock used to measure time and schedule the timers, such as a `ManualClock`.
+     * An object that implements `now()`, `setTimeout(fn,ms)` and `clearTimeout(timer)`.
+     * The remaining timeout of the existing elements is preserved.
+     * @param {Function?} options.refresher
+     * `Function(key,value,map)` that computes, or resolves to, the new value of an element.
+     * It is called in the background when an element becomes stale or reaches the refresh-ahead threshold.
+     * @param {Number?} options.staleTimeout
+     * Time, in milliseconds, during which an element is kept after its timeout has elapsed while it is being refreshed.
+     * Reading a stale element returns its old value without refreshing its timer.
+     * Requires a `refresher`. Default is `0` (disabled).
+     * @param {Number?} options.refreshAhead
+     * Fraction of the timeout, between `0` and `1`. Reading an element whose remaining timeout is
+     * lower than this fraction of its timeout refreshes its value in the background.
+     * Requires a `refresher`. Default is `0` (disabled).
+     * @param {Number?} options.maxAge
+     * Maximum time, in milliseconds, that an element with a timer can live since its timeout was set.
+     * Refreshing the timer never extends the life of the element beyond this limit. Default is `0` (disabled).
+     * @param {String|Boolean?} options.sorted
+     * Keep the elements sorted on every insertion and update, instead of in insertion order:
+     * - `key` or `true` — By key.
+     * - `value` — By value; elements with equal values are kept in insertion order.
+     * - `null` or `false` — In insertion order. This is the default.
+     * @param {Function?} options.compare
+     * `Function(first,second)` that defines the sort order of a sorted map. Default is `Dict.compareSort`.
+     * @param {Boolean?} options.indexed
+     * Whether to keep an index of the positions of the elements, so that `at`, `last`, `indexOf`,
+     * `slice` and `removeAt` run in logarithmic time, at the cost of slower insertions and iteration.
+     * Sorted maps are always indexed. Default is `false`.
+     * @param {Boolean?} options.stats
+     * Whether to count the hits, misses, sets, deletions, expirations and evictions; see `stats`. Default is `false`.
+     */
+    configure(options)
+    {
+        this.#purge();
+        if (options.dispose !== undefined) {
+            if (options.dispose !== null && typeof(options.dispose) !== 'function')
+                throw new TypeError('The disposer must be a function');
+            this.#disposer = options.dispose;
+        }
+        if (options.timeout !== undefined)
+            this.#timeout = options.timeout;
+        if (options.refreshTimeout !== undefined)
+            this.#refreshTimeout = !!options.refreshTimeout;
+        if (options.maxAge !== undefined)
+            this.#maxAge = options.maxAge ?? 0;
+        if (options.refresher !== undefined) {
+            if (options.refresher !== null && typeof(options.refresher) !== 'function')
+                throw new TypeError('The refresher must be a function');
+            this.#refresher = options.refresher;
+        }
+        if (options.staleTimeout !== undefined)
+            this.#staleTimeout = options.staleTimeout ?? 0;
+        if (options.refreshAhead !== undefined) {
+            if (!(options.refreshAhead >= 0 && options.refreshAhead < 1))
+                throw new RangeError(`Invalid refreshAhead: ${options.refreshAhead}`);
+            this.#refreshAhead = options.refreshAhead;
+        }
+        if (options.clock !== undefined && options.clock !== this.#scheduler.clock) {
+            const clock = options.clock ?? systemClock;
+            const scheduler = new Scheduler(timer => this.#expireItem(timer), clock);
+            const delta = clock.now() - this.#now();
+            const sweeper = this.#scheduler.sweeper;
+            scheduler.unref = this.#scheduler.unref;
+            scheduler.lazy = this.#scheduler.lazy;
+            this.#scheduler.sweep(0);
+            if (sweeper) scheduler.sweep(sweeper.interval, sweeper.limit);
+            for (const item of super.values())
+                if (item.timer) {
+                    this.#scheduler.delete(item.timer);
+                    item.timer.deadline += delta;
+                    if (item.timer.limit !== undefined)
+                        item.timer.limit += delta;
+                    scheduler.add(item.timer);
+                }
+            this.#scheduler = scheduler;
+        }
+        if (options.unref !== undefined)
+            this.#scheduler.unref = options.unref;
+        if (options.lazy !== undefined)
+            this.#scheduler.lazy = options.lazy;
+        if (options.sweepInterval !== undefined || options.sweepLimit !== undefined) {
+            const sweeper = this.#scheduler.sweeper;
+            this.#scheduler.sweep(
+                options.sweepInterval ?? sweeper?.interval,
+                options.sweepLimit ?? sweeper?.limit
+            );
+        }
+        if (options.policy !== undefined || (options.maxSize !== undefined && !this.#policy)) {
+            let policy = options.policy ?? 'lru';
+            if (typeof(policy) === 'string') {
+                const Policy = policies[policy.toLowerCase()];
+                if (!Policy) throw new TypeError(`Invalid eviction policy: ${policy}`);
+                policy = new Policy();
+            }
+            this.#policy = policy;
+            for (const key of super.keys())
+                this.#policy.add(key);
+        }
+        if (options.maxSize !== undefined) {
+            if (!(options.maxSize >= 1))
+                throw new RangeError(`Invalid maxSize: ${options.maxSize}`);
+            this.#maxSize = options.maxSize;
+            while (super.size > this.#maxSize && this.#evict());
+        }
+        if (options.sorted !== undefined || options.compare !== undefined || options.indexed !== undefined) {
+            const sorted = options.sorted === undefined ? this.#sorted
+                : options.sorted === true ? 'key' : options.sorted || null;
+            if (sorted !== null && sorted !== 'key' && sorted !== 'value')
+                throw new TypeError(`Invalid sort order: ${sorted}`);
+            if (options.compare !== undefined) {
+                if (options.compare !== null && typeof(options.compare) !== 'function')
+                    throw new TypeError('The comparator must be a function');
+                this.#compare = options.compare;
+            }
+            if (options.indexed !== undefined)
+                this.#indexed = !!options.indexed;
+            this.#sorted = sorted;
+            this.#tree = sorted ? new Tree(this.#compare ?? Dict.compareSort)
+                : this.#indexed ? new Tree(() => 0) : null;
+            this.#index();
+        }
+        if (options.stats !== undefined) {
+            if (!options.stats) this.#stats = null;
+            else if (!this.#stats) this.resetStats();
+        }
+        return this;
+    }
+
+    /**
+     * Get the statistics of the map, if enabled with the `stats` option.
+     * Retrieving an element with `get`, `at`, `has`, `ensure`, `ensureAsync` or `add` counts as a hit if it exists,
+     * otherwise as a miss. The `averageLifetime` is that of the removed elements, in milliseconds since they were added.
+     * @return {Object?}
+     * `{hits,misses,hitRatio,sets,deletes,expirations,evictions,size,averageLifetime}`,
+     * or `undefined` if the statistics are disabled.
+     */
+    stats()
+    {
+        if (!this.#stats) return;
+        const size = this.#destroyed ? 0 : this.size; // deletes the expired elements first
+        const { hits, misses, sets, deletes, expirations, evictions, lifetime } = this.#stats;
+        const removed = deletes + expirations + evictions;
+        return {
+            hits,
+            misses,
+            hitRatio: hits + misses ? hits / (hits + misses) : 0,
+            sets,
+            deletes,
+            expirations,
+            evictions,
+            size,
+            averageLifetime: removed ? lifetime / removed : 0
+        };
+    }
+
+    /**
+     * Reset the statistics of the map to zero, and enable them.
+     */
+    resetStats()
+    {
+        this.#stats = { hits: 0, misses: 0, sets: 0, deletes: 0, expirations: 0, evictions: 0, lifetime: 0 };
     }
 
     /**
@@ -49,16 +442,21 @@ export class Dict extends Map
      * @param {Number} index The index of the element to obtain.
      * @return The element at the specified index, or `undefined` if it does not exist.
      */
-    at(index, refreshTimeout=true)
+    at(index, refreshTimeout=this.#refreshTimeout)
     {
         if (index < 0)
-            index = super.size + index;
+            index = this.size + index;
+        if (this.#tree) {
+            this.#purge();
+            const node = this.#tree.at(index);
+            if (node) return [node.key, this.#getItem(node.key, refreshTimeout).value];
+            return this.#lookup();
+        }
         let i = 0;
-        for (const [key, item] of super.entries())
+        for (const [key, item] of this.#entries())
             if (index === i++)
-                return refreshTimeout
-                    ? [key, this.#refreshItemTimeout(key, item).value]
-                    : [key, item.value];
+                return [key, this.#getItem(key, refreshTimeout, item).value];
+        this.#lookup();
     }
 
     /**
@@ -66,11 +464,145 @@ export class Dict extends Map
      * @param key The key of the element.
      * @return The value associated with `key`, or `undefined` if the element does not exist.
      */
-    get(key, refreshTimeout=true)
+    get(key, refreshTimeout=this.#refreshTimeout)
     {
         return this.#getItem(key, refreshTimeout)?.value;
     }
 
+    /**
+     * Get the element associated with the specified key, without retrieving it:
+     * its timer and access time are not refreshed, and it is not counted in the statistics.
+     * @param key The key of the element.
+     * @return The value associated with `key`, or `undefined` if the element does not exist.
+     */
+    peek(key)
+    {
+        return this.#peek(key)?.value;
+    }
+
+    /**
+     * Check whether an element exists.
+     * @param key The key of the element.
+     */
+    has(key)
+    {
+        return !!this.#lookup(this.#peek(key));
+    }
+
+    /**
+     * The number of elements.
+     */
+    get size()
+    {
+        this.#purge();
+        return super.size;
+    }
+
+    /**
+     * Get the remaining timeout of an element.
+     * @param key The key of the element.
+     * @return {undefined|Number}
+     * The remaining timeout, in milliseconds, `Infinity` if the element does not have a timer,
+     * or `undefined` if the element does not exist.
+     */
+    ttl(key)
+    {
+        const item = this.#peek(key);
+        if (item) return getItemTimeout(item, true, this.#now()) ?? Infinity;
+    }
+
+    /**
+     * Get the expiration time of an element.
+     * @param key The key of the element.
+     * @return {undefined|Number}
+     * The expiration time, in milliseconds since the epoch, `Infinity` if the element does not have a timer,
+     * or `undefined` if the element does not exist.
+     */
+    expiresAt(key)
+    {
+        const item = this.#peek(key);
+        if (item) return item.timer?.deadline ?? Infinity;
+    }
+
+    /**
+     * Refresh the timer of an element, without retrieving it.
+     * @param key The key of the element.
+     * @return Whether the element exists.
+     */
+    touch(key)
+    {
+        return !!this.#refreshItemTimeout(key, this.#peek(key));
+    }
+
+    /**
+     * Delete the timer of an element, so that it never expires.
+     * Emits an `update` event with reason `timer` if the element had a timer.
+     * @param key The key of the element.
+     * @return Whether the element exists.
+     */
+    persist(key)
+    {
+        const item = this.#peek(key);
+        if (item?.timer) {
+            this.#setItemTimeout(key, item, 0, true);
+            this.#emit('update', { key, value: item.value, oldValue: item.value, reason: 'timer' }, item);
+        }
+        return !!item;
+    }
+
+    /**
+     * Change the timer of an element, without changing its value.
+     * @param key The key of the element.
+     * @param {Number|Date|Object} timeout
+     * Timeout, in milliseconds, or expiration time; see `set`.
+     * Zero or a negative number expires the element immediately,
+     * otherwise an `update` event with reason `timer` is emitted.
+     * @return Whether the element exists.
+     */
+    expire(key, timeout)
+    {
+        if (timeout === undefined || timeout === null)
+            throw new TypeError('The timeout must be specified');
+        const item = this.#peek(key);
+        if (!item) return false;
+        const [ms, options] = this.#parseTimeout(timeout, item) ?? [];
+        if (!(ms > 0))
+            this.#deleteItem(key, item, 'expired');
+        else {
+            delete item.stale;
+            this.#setItemTimeout(key, item, ms, true, options);
+            this.#setItemOptions(item, options);
+            this.#emit('update', { key, value: item.value, oldValue: item.value, reason: 'timer' }, item);
+        }
+        return true;
+    }
+
+    /**
+     * Returns an iterable of key/metadata pairs for every entry in the map, in insertion order.
+     * The metadata is an object with the following properties:
+     * - `value` — The value of the element.
+     * - `timeout` — The timeout of the element, or `undefined` if it does not have a timer.
+     * - `remaining` — The remaining timeout of the element, or `undefined` if it does not have a timer.
+     * - `expires` — The expiration time of the element, or `undefined` if it does not have a timer.
+     * - `created`, `updated`, `accessed` — The time the element was added, last set and last retrieved.
+     *
+     * Times are in milliseconds since the epoch. Timers are not refreshed.
+     */
+    *metadata()
+    {
+        for (const [key, item] of this.#entries()) {
+            yield [key, {
+                value: item.value,
+                timeout: item.timer?.timeout,
+                remaining: getItemTimeout(item, true, this.#now()) ?? undefined,
+                expires: item.timer?.deadline,
+                created: item.created,
+                updated: item.updated,
+                accessed: item.accessed
+            }];
+        }
+    }
+
     /**
      * Get an element if it exists, otherwise sets and returns `defval`.
      * @param key The key of the element.
@@ -78,13 +610,58 @@ export class Dict extends Map
      * @param {undefined|Number} timeout Timeout, in milliseconds.
      * @return The value associated with `key`, or `defval` if the element does not exist.
      */
-    ensure(key, defval, timeout, refreshTimeout=true)
+    ensure(key, defval, timeout, refreshTimeout=this.#refreshTimeout)
     {
         const item = this.#getItem(key, refreshTimeout);
         if (item) return item.value;
         return this.#setItem(key, result(defval, key, this), timeout);
     }
 
+    /**
+     * Get an element if it exists, otherwise loads it asynchronously.
+     * Concurrent calls for the same missing element share a single load.
+     * The resolved value is stored, while a failed load is not, unless `errorTimeout` is specified.
+     * @param key The key of the element.
+     * @param {Function} loader `AsyncFunction(key,map)` that loads the value.
+     * @param {undefined|Number} timeout Timeout, in milliseconds.
+     * @param {undefined|Number} errorTimeout
+     * Timeout, in milliseconds, during which a failed load is cached and rethrown without calling `loader`.
+     * @return {Promise} The value associated with `key`, or the loaded value if the element does not exist.
+     */
+    ensureAsync(key, loader, timeout, errorTimeout, refreshTimeout=this.#refreshTimeout)
+    {
+        const item = this.#getItem(key, refreshTimeout);
+        if (item) return Promise.resolve(item.value);
+        const failure = this.#errors?.get(key, false);
+        if (failure) return Promise.reject(failure.error);
+        let promise = this.#loading.get(key);
+        if (promise) return promise;
+        const done = () => {
+            if (this.#loading.get(key) === promise)
+                this.#loading.delete(key);
+        };
+        promise = new Promise(resolve => resolve(loader(key, this))).then(value => {
+            done();
+            // Keep the element if it was added while loading.
+            const current = this.#peek(key);
+            return current ? current.value : this.#setItem(key, value, timeout);
+        }, error => {
+            done();
+            if (errorTimeout > 0) {
+                // Without the options of the map, such as its refresher.
+                this.#errors ??= new Dict().configure({
+                    clock: this.#scheduler.clock,
+                    unref: this.#scheduler.unref,
+                    lazy: this.#scheduler.lazy
+                });
+                this.#errors.set(key, { error }, errorTimeout);
+            }
+            throw error;
+        });
+        this.#loading.set(key, promise);
+        return promise;
+    }
+
     /**
      * Add or update an element.
      * @param key The key of the element.
@@ -97,10 +674,17 @@ export class Dict extends Map
      *   - Specify zero or a negative number to delete the timer.
      *   - Specify `undefined` to refresh the timer. This is the default.
      *   - Specify `null` to keep the currently assigned timer.
+     *
+     * A `Date` sets an absolute expiration time that is not refreshed.
+     * An object `{timeout,expires,sliding,maxAge,staleTimeout,refreshAhead,refresher,dispose}` can be
+     * specified to override the options of the map for this element; see `configure`.
+     * - `expires` — Absolute expiration time, as a `Date` or milliseconds since the epoch.
+     * - `sliding` — Whether refreshing the timer extends the life of the element. Default is `true`.
      * @return The specified `value`.
      */
     set(key, value, timeout)
     {
+        this.#purge();
         return this.#setItem(key, value, timeout, super.get(key));
     }
 
@@ -113,7 +697,8 @@ export class Dict extends Map
      */
     add(key, value, timeout)
     {
-        const item = super.get(key);
+        this.#purge();
+        const item = this.#lookup(super.get(key));
         if (!item)
             return this.#setItem(key, result(value, key, this), timeout);
     }
@@ -127,6 +712,7 @@ export class Dict extends Map
      */
     update(key, value, timeout)
     {
+        this.#purge();
         const item = super.get(key);
         if (item)
             return this.#setItem(key, result(value, key, this), timeout, item);
@@ -139,7 +725,8 @@ export class Dict extends Map
      */
     delete(key)
     {
-        return this.#deleteItem(key, super.get(key))?.value;
+        this.#purge();
+        return this.#deleteItem(key, super.get(key), 'deleted')?.value;
     }
 
     /**
@@ -149,10 +736,10 @@ export class Dict extends Map
      */
     sweep(fn)
     {
-        const size = super.size;
-        for (const [key, item] of super.entries())
+        const size = this.size;
+        for (const [key, item] of this.#entries())
             if (fn(item.value, key, this))
-                this.#deleteItem(key, item);
+                this.#deleteItem(key, item, 'swept');
         return size - super.size;
     }
 
@@ -162,7 +749,136 @@ export class Dict extends Map
      */
     clear()
     {
-        return this.sweep(() => true);
+        const count = this.sweep(() => true);
+        this.#emit('clear', { count });
+        return count;
+    }
+
+    /**
+     * Add a listener function for the specified event.
+     * @param {String} event The name of the event.
+     * - `set` — A new element was added: `{key,value,timeout?,expires?}`.
+     * - `update` — An existing element was updated, or its timer was changed: `{key,value,oldValue,reason,timeout?,expires?}`.
+     * - `delete` — An element was deleted or swept: `{key,value,reason}`.
+     * - `expire` — The timer of an element has elapsed: `{key,value,reason}`.
+     * - `evict` — An element was evicted to make room for a new one: `{key,value,reason}`.
+     * - `stale` — The timer of an element has elapsed, and it is being refreshed: `{key,value}`.
+     * - `error` — The `refresher` or the disposer of an element has failed: `{key,error}`.
+     * - `clear` — All the elements were deleted: `{count}`.
+     * - `destroy` — The map is about to be destroyed: `{}`.
+     * - `transaction` — A transaction was committed: `{changes}`, the events of each change.
+     * @param {Function} fn `Function(event,map)` called when the event is emitted.
+     * The `event` object includes the `type` of the event.
+     * If the element has a timer, `timeout` and `expires` (milliseconds since the epoch) are included.
+     * The `reason` is one of `replaced`, `deleted`, `swept`, `expired`, `evicted`.
+     */
+    on(event, fn)
+    {
+        if (typeof(fn) !== 'function')
+            throw new TypeError('The listener must be a function');
+        const listeners = this.#events.get(event);
+        if (listeners) listeners.add(fn);
+        else this.#events.set(event, new Set([fn]));
+        return this;
+    }
+
+    /**
+     * Add a listener function that is called at most once for the specified event.
+     * @param {String} event The name of the event.
+     * @param {Function} fn `Function(event,map)` called when the event is emitted.
+     */
+    once(event, fn)
+    {
+        const listener = (...args) => {
+            this.off(event, listener);
+            return fn(...args);
+        };
+        listener.listener = fn;
+        return this.on(event, listener);
+    }
+
+    /**
+     * Remove a listener function, or all listeners, for the specified event.
+     * @param {String} event The name of the event.
+     * @param {Function?} fn The listener to remove.
+     */
+    off(event, fn)
+    {
+        const listeners = this.#events.get(event);
+        if (listeners && fn !== undefined) {
+            for (const listener of listeners)
+                if (listener === fn || listener.listener === fn)
+                    listeners.delete(listener);
+        }
+        if (fn === undefined || !listeners?.size)
+            this.#events.delete(event);
+        return this;
+    }
+
+    /**
+     * Iterate the changes of the map as they happen, with `for await`.
+     * The records are the objects of the `set`, `update`, `delete`, `expire` and `evict` events; see `on`.
+     * The iteration ends when the map is destroyed, or when `return` is called, such as by `break`.
+     * @param {Object?} options
+     * @param {AbortSignal?} options.signal Signal that ends the iteration with its `reason` as the error.
+     * @param {Boolean?} options.snapshot Whether to start with a `set` record for each element. Default is `false`.
+     * @param {Number?} options.highWaterMark Maximum number of buffered records. Default is `Infinity`.
+     * @param {String?} options.overflow What to do when the buffer is full:
+     * - `drop` — Discard the oldest record. This is the default.
+     * - `error` — End the iteration with a `RangeError`, after the buffered records.
+     * @return {ChangeFeed} An async iterator of records.
+     */
+    changes(options)
+    {
+        return new ChangeFeed(this, null, options);
+    }
+
+    /**
+     * Iterate the changes of an element as they happen, with `for await`; see `changes`.
+     * @param key The key of the element.
+     * @param {Object?} options See `changes`.
+     * @return {ChangeFeed} An async iterator of records.
+     */
+    watch(key, options)
+    {
+        return new ChangeFeed(this, record => Object.is(record.key, key), options);
+    }
+
+    /**
+     * Delete all the elements without emitting events other than `destroy`, cancel all the timers
+     * and reject further use of the map. The disposers are called with the `destroyed` reason.
+     */
+    destroy()
+    {
+        if (this.#destroyed) return;
+        this.#emit('destroy', {});
+        const entries = [...super.entries()];
+        this.#destroyed = true;
+        this.#scheduler.clear();
+        this.#loading.clear();
+        this.#errors?.destroy();
+        super.clear();
+        this.#tree?.clear();
+        for (const [key, item] of entries)
+            this.#disposeItem(key, item.value, 'destroyed', item.dispose);
+        this.#events.clear();
+    }
+
+    /**
+     * Destroy the map; allows `using map = new Dict()`.
+     */
+    [dispose]()
+    {
+        this.destroy();
+    }
+
+    /**
+     * Wait for the pending loads and refreshes, and destroy the map; allows `await using map = new Dict()`.
+     */
+    async [asyncDispose]()
+    {
+        await Promise.allSettled([...this.#loading.values(), ...this.#refreshing.values()]);
+        this.destroy();
     }
 
     /**
@@ -173,10 +889,10 @@ export class Dict extends Map
     equals(other)
     {
         if (this === other) return true;
-        if (!(other instanceof Dict) || other.size !== super.size)
+        if (!(other instanceof Dict) || other.size !== this.size)
             return false;
         for (const [key, item] of super.entries()) {
-            const otherItem = other.#getItem(key);
+            const otherItem = other.#peek(key);
             if (!otherItem || !Object.is(otherItem.value, item.value))
                 return false;
         }
@@ -190,12 +906,39 @@ export class Dict extends Map
      */
     every(fn)
     {
-        for (const [key, item] of super.entries())
+        for (const [key, item] of this.#entries())
             if (!fn(item.value, key, this))
                 return false;
         return true;
     }
 
+    /**
+     * Check if any of the elements passes a test function.
+     * @param {Function} fn `Function(value,key,map)` used to test.
+     * @return Whether any of the elements passed the test function.
+     */
+    some(fn)
+    {
+        for (const [key, item] of this.#entries())
+            if (fn(item.value, key, this))
+                return true;
+        return false;
+    }
+
+    /**
+     * Count the elements that pass a test function.
+     * @param {Function?} fn `Function(value,key,map)` used to test. By default, all elements are counted.
+     */
+    count(fn)
+    {
+        if (!fn) return this.size;
+        let count = 0;
+        for (const [key, item] of this.#entries())
+            if (fn(item.value, key, this))
+                ++count;
+        return count;
+    }
+
     /**
      * Check if all of the specified elements exist.
      * @param keys The keys of the elements to check for.
@@ -223,11 +966,35 @@ export class Dict extends Map
      */
     find(fn)
     {
-        for (const [key, item] of super.entries())
+        for (const [key, item] of this.#entries())
             if (fn(item.value, key, this))
                 return [key, item.value];
     }
 
+    /**
+     * Search for the key of a single element that pass the test function.
+     * @param {Function} fn `Function(value,key,map)` used to test.
+     * @return The key found, otherwise `undefined`.
+     */
+    findKey(fn)
+    {
+        return this.find(fn)?.[0];
+    }
+
+    /**
+     * Search for the last element that pass the test function.
+     * @param {Function} fn `Function(value,key,map)` used to test.
+     * @return The key/value pair found, otherwise `undefined`.
+     */
+    findLast(fn)
+    {
+        let pair;
+        for (const [key, item] of this.#entries())
+            if (fn(item.value, key, this))
+                pair = [key, item.value];
+        return pair;
+    }
+
     /**
      * Iterate the first element(s) from the map, in insertion order.
      * @param {Number} count The max number of elements to get.
@@ -236,7 +1003,7 @@ export class Dict extends Map
     *first(count=1)
     {
         let index = 0;
-        for (const [key, item] of super.entries())
+        for (const [key, item] of this.#entries())
             if (index++ >= count) break;
             else yield [key, item.value];
     }
@@ -248,34 +1015,169 @@ export class Dict extends Map
      */
     *last(count=1)
     {
-        let index = 0;
-        for (const [key, item] of super.entries())
-            if (index++ >= super.size - count)
-                yield [key, item.value];
+        yield * this.slice(Math.max(0, this.size - count));
     }
 
     /**
-     * Create an identical shallow copy.
+     * Iterate the elements between two indexes, allowing for positive and negative integers.
+     * @param {Number} start The index of the first element.
+     * @param {Number} end The index after the last element.
+     * @return A list of key/value pair for each element found.
      */
-    clone(refreshTimeout=true)
+    *slice(start=0, end=Infinity)
     {
-        const map = new Dict();
-        for (const [key, item] of super.entries())
-            map.#copyItem(key, item, refreshTimeout);
-        return map;
+        const size = this.size;
+        start = start < 0 ? Math.max(0, size + start) : Math.min(start, size);
+        end = end < 0 ? size + end : Math.min(end, size);
+        if (start >= end) return;
+        const entries = this.#tree
+            ? this.#treeEntries(this.#tree, this.#tree.at(start))
+            : this.#entries();
+        let index = this.#tree ? start : 0;
+        for (const [key, item] of entries) {
+            if (index >= end) break;
+            if (index++ >= start)
+                yield [key, item.value];
+        }
     }
 
     /**
-     * Create a map containing a shallow copy of the elements that pass the test function.
-     * @param {Function} fn `Function(value,key,map)` used to test.
+     * Get the index of an element.
+     * @param key The key of the element.
+     * @return The index of the element, or `-1` if it does not exist.
      */
-    filter(fn, refreshTimeout=true)
+    indexOf(key)
     {
-        const map = new Dict();
-        for (const [key, item] of super.entries())
-            if (fn(item.value, key, this))
-                map.#copyItem(key, item, refreshTimeout);
-        return map;
+        const item = this.#peek(key);
+        if (!item) return -1;
+        if (this.#tree)
+            return this.#tree.indexOf(item.node);
+        let index = 0;
+        for (const [, other] of this.#entries()) {
+            if (other === item) return index;
+            ++index;
+        }
+    }
+
+    /**
+     * Delete the element at a given index, allowing for positive and negative integers.
+     * @param {Number} index The index of the element to delete.
+     * @return The key/value pair of the deleted element, or `undefined` if it does not exist.
+     */
+    removeAt(index)
+    {
+        const [pair] = this.slice(index, index + 1 || Infinity);
+        if (pair) this.#deleteItem(pair[0], super.get(pair[0]), 'deleted');
+        return pair;
+    }
+
+    /**
+     * Iterate the elements of a sorted map within a range, in sort order.
+     * @param from The lowest key or value, inclusive. Specify `undefined` for no lower bound.
+     * @param to The highest key or value, exclusive. Specify `undefined` for no upper bound.
+     * @param {Boolean} inclusive Whether to include the elements equal to `to`.
+     * @return A list of key/value pair for each element found.
+     */
+    *range(from, to, inclusive=false)
+    {
+        const tree = this.#sortedTree();
+        const compare = this.#compare ?? Dict.compareSort;
+        let node = from === undefined ? tree.first() : tree.ceiling(from);
+        for (; node; node = tree.next(node)) {
+            if (to !== undefined) {
+                const order = compare(node.sort, to);
+                if (order > 0 || (order === 0 && !inclusive)) break;
+            }
+            const item = super.get(node.key);
+            if (item?.node === node)
+                yield [node.key, item.value];
+        }
+    }
+
+    /**
+     * Get the element of a sorted map with the greatest key or value lower than or equal to `value`.
+     * @return The key/value pair found, otherwise `undefined`.
+     */
+    floor(value)
+    {
+        return this.#pair(this.#sortedTree().floor(value));
+    }
+
+    /**
+     * Get the element of a sorted map with the lowest key or value greater than or equal to `value`.
+     * @return The key/value pair found, otherwise `undefined`.
+     */
+    ceiling(value)
+    {
+        return this.#pair(this.#sortedTree().ceiling(value));
+    }
+
+    /**
+     * Get the element of a sorted map with the greatest key or value strictly lower than `value`.
+     * @return The key/value pair found, otherwise `undefined`.
+     */
+    lower(value)
+    {
+        return this.#pair(this.#sortedTree().lower(value));
+    }
+
+    /**
+     * Get the element of a sorted map with the lowest key or value strictly greater than `value`.
+     * @return The key/value pair found, otherwise `undefined`.
+     */
+    higher(value)
+    {
+        return this.#pair(this.#sortedTree().higher(value));
+    }
+
+    /**
+     * Get the first element of a sorted map.
+     * @return The key/value pair found, otherwise `undefined`.
+     */
+    min()
+    {
+        return this.#pair(this.#sortedTree().first());
+    }
+
+    /**
+     * Get the last element of a sorted map.
+     * @return The key/value pair found, otherwise `undefined`.
+     */
+    max()
+    {
+        return this.#pair(this.#sortedTree().last());
+    }
+
+    /**
+     * Get the number of elements of a sorted map whose key or value is lower than `value`.
+     */
+    rank(value)
+    {
+        return this.#sortedTree().rank(value);
+    }
+
+    /**
+     * Create an identical shallow copy.
+     */
+    clone(refreshTimeout=this.#refreshTimeout)
+    {
+        const map = this.#create();
+        for (const [key, item] of this.#entries())
+            map.#copyItem(this, key, item, refreshTimeout);
+        return map;
+    }
+
+    /**
+     * Create a map containing a shallow copy of the elements that pass the test function.
+     * @param {Function} fn `Function(value,key,map)` used to test.
+     */
+    filter(fn, refreshTimeout=this.#refreshTimeout)
+    {
+        const map = this.#create();
+        for (const [key, item] of this.#entries())
+            if (fn(item.value, key, this))
+                map.#copyItem(this, key, item, refreshTimeout);
+        return map;
     }
 
     /**
@@ -284,13 +1186,57 @@ export class Dict extends Map
      */
     map(fn)
     {
-        const iter = super.entries();
+        const iter = this.#entries();
         return Array.from({ length: super.size }, () => {
             const [key, item] = iter.next().value;
             return fn(item.value, key, this);
         });
     }
 
+    /**
+     * Create a map with the same keys and timeouts, and the values produced by a function.
+     * @param {Function} fn `Function(value,key,map)` that produces the new value.
+     */
+    mapValues(fn)
+    {
+        return this.query().map((value, key) => fn(value, key, this)).toDict();
+    }
+
+    /**
+     * Maps each element to an iterable of values, and flatten them into an array.
+     * @param {Function} fn `Function(value,key,map)` that returns an iterable, or a single value.
+     */
+    flatMap(fn)
+    {
+        return this.query().flatMap((value, key) => fn(value, key, this));
+    }
+
+    /**
+     * Create a lazy query pipeline over the elements, in insertion order.
+     * Iterating the query does not refresh the timers of the elements.
+     * @return {Query}
+     */
+    query()
+    {
+        return new Query(
+            () => this.#rows(),
+            rows => {
+                const map = this.#create();
+                for (const [key, value, item] of rows)
+                    map.#copyItem(this, key, value === item.value ? item : { ...item, value }, false);
+                return map;
+            }
+        );
+    }
+
+    /**
+     * Create an object with the key/value pairs of the map, in insertion order.
+     */
+    toObject()
+    {
+        return Object.fromEntries(this.entries());
+    }
+
     /**
      * Applies a function on each element to produce a single value.
      * @param {Function} fn `Function(acc,pair,index,map)` used to reduce.
@@ -315,12 +1261,12 @@ export class Dict extends Map
      * @param {Dict?} second The map that contains the elements that failed.
      * @return {Dict[]} An array with the first and second map.
      */
-    partition(fn, first, second, refreshTimeout=true)
+    partition(fn, first, second, refreshTimeout=this.#refreshTimeout)
     {
-        const maps = [first??new Dict(), second??new Dict()];
-        for (const [key, item] of super.entries())
+        const maps = [first??this.#create(), second??this.#create()];
+        for (const [key, item] of this.#entries())
             maps[fn(item.value, key, this) ? 0 : 1]
-                .#copyItem(key, item, refreshTimeout);
+                .#copyItem(this, key, item, refreshTimeout);
         return maps;
     }
 
@@ -328,25 +1274,210 @@ export class Dict extends Map
      * Combine the map with a shallow copy of the elements from another map.
      * @param {Dict} other The other map whose elements are to be combined.
      */
-    concat(other, refreshTimeout=true)
+    concat(other, refreshTimeout=this.#refreshTimeout)
     {
         if (this === other) return this;
         for (const [key, item] of other.#iter())
-            this.#copyItem(key, item, refreshTimeout, true);
+            this.#copyItem(other, key, item, refreshTimeout, true);
+        return this;
+    }
+
+    /**
+     * Create a map with the elements of the map, and the elements of another whose keys are not in the map.
+     * @param {Dict|Map|Object} other The other map.
+     * @param {Boolean} inPlace Whether to modify the map instead of creating a new one.
+     */
+    union(other, inPlace=false)
+    {
+        const map = inPlace ? this : this.clone();
+        const source = Dict.#source(other);
+        for (const [key, item] of source.entries())
+            if (!map.#peek(key))
+                map.#copyItem(source.map ?? map, key, item, this.#refreshTimeout);
+        return map;
+    }
+
+    /**
+     * Create a map with the elements of the map whose keys are also in another.
+     * @param {Dict|Map|Object} other The other map.
+     * @param {Boolean} inPlace Whether to modify the map instead of creating a new one.
+     */
+    intersection(other, inPlace=false)
+    {
+        const source = Dict.#source(other);
+        if (!inPlace) return this.filter((_, key) => source.get(key));
+        this.sweep((_, key) => !source.get(key));
+        return this;
+    }
+
+    /**
+     * Create a map with the elements of the map whose keys are not in another.
+     * @param {Dict|Map|Object} other The other map.
+     * @param {Boolean} inPlace Whether to modify the map instead of creating a new one.
+     */
+    difference(other, inPlace=false)
+    {
+        const source = Dict.#source(other);
+        if (!inPlace) return this.filter((_, key) => !source.get(key));
+        this.sweep((_, key) => source.get(key));
+        return this;
+    }
+
+    /**
+     * Create a map with the elements of the map and of another whose keys are not in both.
+     * @param {Dict|Map|Object} other The other map.
+     * @param {Boolean} inPlace Whether to modify the map instead of creating a new one.
+     */
+    symmetricDifference(other, inPlace=false)
+    {
+        const source = Dict.#source(other);
+        const entries = [];
+        for (const [key, item] of source.entries())
+            if (!this.#peek(key))
+                entries.push([key, item]);
+        const map = this.difference(other, inPlace);
+        for (const [key, item] of entries)
+            map.#copyItem(source.map ?? map, key, item, this.#refreshTimeout);
+        return map;
+    }
+
+    /**
+     * Check if all the keys of the map are in another.
+     * @param {Dict|Map|Object} other The other map.
+     */
+    isSubsetOf(other)
+    {
+        const source = Dict.#source(other);
+        for (const [key] of this.#entries())
+            if (!source.get(key))
+                return false;
+        return true;
+    }
+
+    /**
+     * Check if all the keys of another map are in the map.
+     * @param {Dict|Map|Object} other The other map.
+     */
+    isSupersetOf(other)
+    {
+        for (const [key] of Dict.#source(other).entries())
+            if (!this.#peek(key))
+                return false;
+        return true;
+    }
+
+    /**
+     * Merge the elements of another map into the map.
+     * @param {Dict|Map|Object} other The other map whose elements are to be merged.
+     * @param {Function?} resolver
+     * `Function(key,ours,theirs)` called for the keys in both maps, that returns the winning element.
+     * The elements are `{value,timeout}` objects, where `timeout` is the remaining timeout, or `undefined`.
+     * Return `ours`, `theirs`, or a new `{value,timeout}` object; see `set`.
+     * By default, the elements of the other map win.
+     */
+    merge(other, resolver)
+    {
+        const source = Dict.#source(other);
+        const now = this.#now();
+        for (const [key, item] of source.entries()) {
+            const current = this.#peek(key);
+            if (current && resolver) {
+                const ours = { value: current.value, timeout: getItemTimeout(current, true, now) ?? undefined };
+                const theirs = { value: item.value, timeout: getItemTimeout(item, true, source.map?.#now()) ?? undefined };
+                const winner = resolver(key, ours, theirs);
+                if (winner === theirs)
+                    this.#copyItem(source.map ?? this, key, item, this.#refreshTimeout);
+                else if (winner !== ours)
+                    this.set(key, winner.value, winner.timeout ?? 0);
+            } else this.#copyItem(source.map ?? this, key, item, this.#refreshTimeout);
+        }
+        return this;
+    }
+
+    /**
+     * Run a function that stages changes, and apply them all at once.
+     * If the function throws, or rejects, the changes are discarded.
+     * The events of the changes, and the disposal of the replaced and deleted values, are deferred
+     * until all the changes are applied; then the events are emitted, followed by a `transaction` event.
+     * If applying a change throws, the map is rolled back to its state before the transaction,
+     * without emitting events or disposing values; only the elements whose timer has elapsed expire.
+     * @param {Function} fn `Function(tx,map)` that stages changes with a `Transaction`, and may return a promise.
+     * @return The value returned by `fn`, or a promise that resolves to it.
+     */
+    transaction(fn)
+    {
+        const tx = new Transaction(this);
+        const commit = value => {
+            this.#purge();
+            const deferred = { changes: [], tasks: [], undo: new Map(), order: null };
+            this.#deferred = deferred;
+            try {
+                tx.commit();
+            } catch (error) {
+                this.#rollback(deferred);
+                throw error;
+            } finally {
+                this.#deferred = null;
+            }
+            for (const task of deferred.tasks)
+                task();
+            this.#emit('transaction', { changes: deferred.changes });
+            return value;
+        };
+        const value = fn(tx, this);
+        return typeof(value?.then) === 'function' ? value.then(commit) : commit(value);
+    }
+
+    /**
+     * Capture the state of the elements, including their timers, to be restored later.
+     * The values are not copied.
+     * @return {Object} An opaque snapshot; see `restore`.
+     */
+    snapshot()
+    {
+        const items = [];
+        for (const [key, item] of this.#entries())
+            items.push([key, getItemState(item)]);
+        return { items };
+    }
+
+    /**
+     * Restore the elements to the state captured by `snapshot`, in the same order.
+     * Elements whose timer has elapsed since the snapshot are deleted.
+     * Only the elements that changed emit events.
+     * @param {Object} snapshot The value returned by `snapshot`.
+     */
+    restore(snapshot)
+    {
+        this.#purge();
+        const keys = new Set(snapshot.items.map(([key]) => key));
+        for (const [key, item] of [...super.entries()])
+            if (!keys.has(key))
+                this.#deleteItem(key, item, 'deleted');
+        for (const [key, state] of snapshot.items)
+            this.#restoreState(key, state);
+        // Restore the insertion order.
+        const entries = snapshot.items.filter(([key]) => super.has(key)).map(([key]) => [key, super.get(key)]);
+        super.clear();
+        for (const [key, item] of entries)
+            super.set(key, item);
+        if (this.#tree) this.#index();
         return this;
     }
 
     /**
      * Sort the elements in place and returns the map.
+     * The iteration order of a sorted map is not affected; see `configure`.
      * @param {Function} fn `Function(firstV,secV,firstK,secK)` that defines the sort order.
      */
-    sort(fn=Dict.compareSort, refreshTimeout=true)
+    sort(fn=Dict.compareSort, refreshTimeout=this.#refreshTimeout)
     {
-        const entries = [...super.entries()];
+        const entries = [...this.#entries()];
         entries.sort((a, b) => fn(a[1].value, b[1].value, a[0], b[0]));
         super.clear();
         for (const [key, item] of entries)
-            this.#copyItem(key, item, refreshTimeout);
+            super.set(key, refreshTimeout ? this.#refreshItemTimeout(key, item) : item);
+        if (this.#tree) this.#index();
         return this;
     }
 
@@ -358,11 +1489,21 @@ export class Dict extends Map
     each(fn, self)
     {
         if (self) fn = fn.bind(self);
-        for (const [key, item] of super.entries())
+        for (const [key, item] of this.#entries())
             fn(item.value, key, this);
         return this;
     }
 
+    /**
+     * Executes a provided function once per each element, in insertion order.
+     * @param {Function} fn `Function(value,key,map)` to execute for each element.
+     * @param self Value to use as `this` when executing `fn`.
+     */
+    forEach(fn, self)
+    {
+        this.each(fn, self);
+    }
+
     toString(sep=' ', filter=undefined, map=undefined)
     {
         let str = '';
@@ -374,6 +1515,43 @@ export class Dict extends Map
         return sep.length ? str.slice(0, -sep.length) : str;
     }
 
+    /**
+     * Get a serializable representation of the map, in insertion order.
+     * Elements whose timeout has expired are skipped.
+     * @return {Array[]} A list of `[key,value]` or `[key,value,timeout,expires,limit?]` records,
+     * where `timeout` is the timeout of the element, `expires` its expiration time, and `limit`
+     * the time its timer can not be refreshed beyond, in milliseconds since the epoch.
+     */
+    toJSON()
+    {
+        const now = this.#now();
+        const records = [];
+        for (const [key, item] of this.#entries()) {
+            const timeout = getItemTimeout(item, true, now);
+            if (timeout === undefined)
+                records.push([key, item.value]);
+            else if (timeout !== null) {
+                const record = [key, item.value, item.timer.timeout, now + timeout];
+                if (item.timer.limit !== undefined) record.push(item.timer.limit);
+                records.push(record);
+            }
+        }
+        return records;
+    }
+
+    /**
+     * Add or update the elements from the representation returned by `toJSON`, keeping their expiration time.
+     * Elements whose expiration time has passed are skipped, or expired if they exist.
+     * @param {String|Iterable} json A JSON string or a list of records.
+     */
+    load(json)
+    {
+        this.#purge();
+        for (const record of typeof(json) === 'string' ? JSON.parse(json) : json)
+            this.#restoreItem(...record);
+        return this;
+    }
+
     debug()
     {
         console.log(`${this.constructor.name}[${super.size}]:`);
@@ -381,12 +1559,21 @@ export class Dict extends Map
             console.log('>', key, item);
     }
 
+    /**
+     * Returns an iterable of keys for every entry in the map, in insertion order.
+     */
+    *keys()
+    {
+        for (const [key] of this.#entries())
+            yield key;
+    }
+
     /**
      * Returns an iterable of values for every entry in the map, in insertion order.
      */
     *values()
     {
-        for (const item of super.values())
+        for (const [, item] of this.#entries())
             yield item.value;
     }
 
@@ -395,7 +1582,7 @@ export class Dict extends Map
      */
     *entries()
     {
-        for (const [key, item] of super.entries())
+        for (const [key, item] of this.#entries())
             yield [key, item.value];
     }
 
@@ -412,76 +1599,453 @@ export class Dict extends Map
 
     *#iter()
     {
-        yield * super.entries();
+        yield * this.#entries();
+    }
+
+    *#rows()
+    {
+        for (const [key, item] of this.#entries())
+            yield [key, item.value, item];
+    }
+
+    #entries()
+    {
+        this.#purge();
+        return this.#tree ? this.#treeEntries(this.#tree, this.#tree.first()) : super.entries();
+    }
+
+    // The next node is searched at each step, so that the elements can be modified while iterating.
+    *#treeEntries(tree, node)
+    {
+        for (; node; node = tree.next(node)) {
+            const item = super.get(node.key);
+            if (item?.node === node)
+                yield [node.key, item];
+        }
+    }
+
+    #sortedTree()
+    {
+        this.#purge();
+        if (!this.#sorted)
+            throw new TypeError('The map is not sorted');
+        return this.#tree;
+    }
+
+    // Rebuild the index of the elements, in insertion order.
+    #index()
+    {
+        this.#tree?.clear();
+        for (const [key, item] of super.entries()) {
+            delete item.node;
+            if (this.#tree) this.#sortItem(key, item);
+        }
+    }
+
+    #sortItem(key, item)
+    {
+        if (item.node) this.#tree.delete(item.node);
+        const sort = this.#sorted === 'key' ? key : this.#sorted === 'value' ? item.value : undefined;
+        item.node = this.#tree.insert({ key, sort, seq: item.node?.seq ?? ++this.#seq });
+    }
+
+    #pair(node)
+    {
+        return node ? [node.key, super.get(node.key).value] : undefined;
+    }
+
+    // Delete the elements whose timeout has elapsed but whose timer has not fired yet.
+    #purge()
+    {
+        if (this.#destroyed)
+            throw new Error('The map has been destroyed');
+        this.#scheduler.expire();
+    }
+
+    #assign(entries)
+    {
+        for (const entry of entries) {
+            if (entry instanceof Dict)
+                this.concat(entry);
+            else if (entry instanceof Array)
+                this.set(...entry);
+            else for (const key in entry)
+                this.set(key, entry[key]);
+        }
+    }
+
+    #peek(key)
+    {
+        this.#purge();
+        return super.get(key);
     }
 
     #getItem(key, refreshTimeout, item)
     {
-        return refreshTimeout
-            ? this.#refreshItemTimeout(key, item??super.get(key))
-            : super.get(key);
+        item = this.#lookup(item ?? this.#peek(key));
+        if (item?.timer && !item.stale) {
+            const fraction = item.timer.refreshAhead ?? this.#refreshAhead;
+            if (fraction && item.timer.deadline - this.#now() < fraction * item.timer.timeout)
+                this.#revalidate(key, item);
+        }
+        if (item) {
+            item.accessed = this.#now();
+            if (refreshTimeout) {
+                this.#policy?.access(key);
+                this.#refreshItemTimeout(key, item);
+            }
+        }
+        return item;
+    }
+
+    // Count a retrieval as a hit if the element exists, otherwise as a miss.
+    #lookup(item)
+    {
+        if (this.#stats) ++this.#stats[item ? 'hits' : 'misses'];
+        return item;
+    }
+
+    /**
+     * Parse the `timeout` parameter of `set`.
+     * @return {Array} The `[timeout,options]`, or `undefined` if the expiration time has already passed.
+     */
+    #parseTimeout(timeout, item)
+    {
+        let options;
+        if (!item && timeout === undefined)
+            timeout = this.#timeout;
+        if (timeout instanceof Date)
+            timeout = { expires: timeout };
+        if (typeof(timeout) === 'object' && timeout !== null) {
+            options = timeout;
+            timeout = options.timeout;
+            if (!item && timeout === undefined && options.expires === undefined)
+                timeout = this.#timeout;
+            if (options.expires !== undefined) {
+                timeout = Number(options.expires) - this.#now();
+                if (!(timeout > 0)) return;
+            }
+        }
+        return [timeout, options];
     }
 
     #setItem(key, value, timeout, item)
     {
+        const parsed = this.#parseTimeout(timeout, item);
+        if (!parsed) {
+            this.#deleteItem(key, item, 'expired');
+            return value;
+        }
+        const [, options] = parsed;
+        timeout = parsed[0];
+        this.#record(key, item);
+        if (this.#stats) ++this.#stats.sets;
         if (item) {
+            const oldValue = item.value;
             item.value = value;
+            item.updated = this.#now();
+            delete item.stale;
+            this.#policy?.access(key);
+            if (this.#sorted === 'value' && !Object.is(value, oldValue))
+                this.#sortItem(key, item);
             if (typeof(timeout) === 'number')
-                this.#setItemTimeout(key, item, timeout, true);
+                this.#setItemTimeout(key, item, timeout, true, options);
             else if (item.timer && timeout === undefined)
                 this.#refreshItemTimeout(key, item);
-        } else
-            super.set(key, this.#setItemTimeout(key, {value}, timeout));
+            const disposer = item.dispose;
+            this.#setItemOptions(item, options);
+            this.#emit('update', { key, value, oldValue, reason: 'replaced' }, item);
+            if (!Object.is(value, oldValue))
+                this.#disposeItem(key, oldValue, 'replaced', disposer);
+        } else {
+            while (super.size >= this.#maxSize && this.#evict());
+            const now = this.#now();
+            item = { value, created: now, updated: now };
+            super.set(key, this.#setItemTimeout(key, item, timeout, false, options));
+            this.#setItemOptions(item, options);
+            this.#policy?.add(key);
+            if (this.#tree) this.#sortItem(key, item);
+            this.#emit('set', { key, value }, item);
+        }
         return value;
     }
 
-    #copyItem(key, item, refreshTimeout, ensure)
+    #copyItem(source, key, item, refreshTimeout, ensure)
+    {
+        let timeout = getItemTimeout(item, !refreshTimeout, source.#now());
+        if (timeout === null) return;
+        timeout ??= 0; // without a timer
+        return ensure
+            ? this.ensure(key, () => item.value, getItemOptions(item, timeout, source.#now()))
+            : this.set(key, item.value, getItemOptions(item, timeout, source.#now()));
+    }
+
+    #restoreItem(key, value, timeout, expires, limit)
+    {
+        let item = super.get(key);
+        if (expires === undefined)
+            return this.#setItem(key, value, 0, item);
+        const remaining = expires - this.#now();
+        if (remaining > 0) {
+            this.#setItem(key, value, remaining, item);
+            (item ??= super.get(key)).timer.timeout = timeout;
+            if (limit !== undefined) item.timer.limit = limit;
+        } else if (item)
+            this.#deleteItem(key, item, 'expired');
+    }
+
+    // Record the state of an element before a transaction changes it, to undo the change; see `#rollback`.
+    #record(key, item, deleted)
+    {
+        const deferred = this.#deferred;
+        if (!deferred?.undo || (deleted && !item)) return;
+        if (!deferred.undo.has(key))
+            deferred.undo.set(key, item ? getItemState(item) : null);
+        // A deleted element loses its position in the insertion order.
+        if (deleted) deferred.order ??= [...super.keys()];
+    }
+
+    // Undo the changes of a transaction without emitting events or disposing values, except for the expired elements.
+    #rollback({ undo, order })
     {
-        const timeout = getItemTimeout(item, !refreshTimeout);
-        return timeout === null ? undefined : ensure
-            ? this.ensure(key, () => item.value, timeout)
-            : this.set(key, item.value, timeout);
+        this.#deferred = { changes: [], tasks: [] };
+        try {
+            // Delete the added elements first, to make room for the deleted ones.
+            for (const [key, state] of undo)
+                if (!state) this.#deleteItem(key, super.get(key), 'deleted');
+            for (const [key, state] of undo)
+                if (state) this.#restoreState(key, state);
+            if (order) {
+                const entries = order.filter(key => super.has(key)).map(key => [key, super.get(key)]);
+                super.clear();
+                for (const [key, item] of entries)
+                    super.set(key, item);
+                if (this.#tree) this.#index();
+            }
+        } finally {
+            this.#deferred = null;
+        }
+        for (const [key, state] of undo) {
+            if (state && !super.has(key)) {
+                this.#emit('expire', { key, value: state.value, reason: 'expired' });
+                this.#disposeItem(key, state.value, 'expired', state.dispose);
+            }
+        }
+    }
+
+    #restoreState(key, state)
+    {
+        const item = super.get(key);
+        const now = this.#now();
+        const timeout = state.timer ? state.timer.deadline - now : 0;
+        if (!(timeout > 0) && state.timer) {
+            this.#deleteItem(key, item, 'expired');
+            return;
+        }
+        if (isSameItem(item, state))
+            return;
+        let options = getItemOptions(state, timeout, now);
+        if (typeof(options) !== 'object') options = { timeout };
+        options.dispose = state.dispose;
+        this.#setItem(key, state.value, options, item);
+        const restored = super.get(key);
+        if (state.dispose === undefined) delete restored.dispose;
+        if (state.timer) restored.timer.timeout = state.timer.timeout;
     }
 
-    #deleteItem(key, item)
+    #deleteItem(key, item, reason)
     {
-        if (item && super.delete(key))
-            clearTimeout(item.timer?.timer);
+        this.#record(key, item, true);
+        if (item && super.delete(key)) {
+            if (item.timer) this.#scheduler.delete(item.timer);
+            if (item.node) this.#tree.delete(item.node);
+            this.#policy?.delete(key);
+            if (this.#stats) {
+                ++this.#stats[STATS[reason] ?? 'deletes'];
+                this.#stats.lifetime += this.#now() - item.created;
+            }
+            this.#emit(EVENTS[reason] ?? 'delete', { key, value: item.value, reason });
+            this.#disposeItem(key, item.value, reason, item.dispose);
+        }
         return item;
     }
 
-    #refreshItemTimeout(key, item)
+    #disposeItem(key, value, reason, disposer)
     {
-        if (item?.timer) {
-            // Node.js
-            if (item.timer.timer.refresh)
-                item.timer.timer.refresh();
-            // Browser
-            else {
-                clearTimeout(item.timer.timer);
-                item.timer.timer = setTimeout(() => super.delete(key), item.timer.timeout);
+        if (this.#deferred) {
+            this.#deferred.tasks.push(() => this.#disposeItem(key, value, reason, disposer));
+            return;
+        }
+        const fn = disposer ?? this.#disposer;
+        if (fn) {
+            try {
+                fn(value, key, reason);
+            } catch (error) {
+                this.#emit('error', { key, error });
             }
-            item.timer.timestamp = Date.now();
+        }
+    }
+
+    #expireItem(timer)
+    {
+        const key = timer.key;
+        const item = super.get(key);
+        if (item?.timer !== timer) return;
+        const staleTimeout = timer.staleTimeout ?? this.#staleTimeout;
+        // An element that reached its limit is not kept stale.
+        if (!item.stale && staleTimeout > 0 && (timer.refresher ?? this.#refresher)
+            && !(timer.limit <= timer.deadline)) {
+            item.stale = true;
+            timer.deadline = this.#now() + staleTimeout;
+            this.#scheduler.add(timer);
+            this.#emit('stale', { key, value: item.value }, item);
+            this.#revalidate(key, item);
+        } else this.#deleteItem(key, item, 'expired');
+    }
+
+    #revalidate(key, item)
+    {
+        const refresher = item.timer?.refresher ?? this.#refresher;
+        if (!refresher || this.#refreshing.has(key)) return;
+        const promise = new Promise(resolve => resolve(refresher(key, item.value, this))).then(value => {
+            this.#refreshing.delete(key);
+            // Discard the value if the element was deleted or replaced while refreshing.
+            if (super.get(key) === item)
+                this.#setItem(key, value, undefined, item);
+        }, error => {
+            this.#refreshing.delete(key);
+            throw error;
+        }).catch(error => this.#emit('error', { key, error })); // also the errors of the listeners
+        this.#refreshing.set(key, promise);
+    }
+
+    #evict()
+    {
+        const key = this.#policy.victim();
+        return !!this.#deleteItem(key, super.get(key), 'evicted');
+    }
+
+    #create()
+    {
+        return new Dict().configure({
+            clock: this.#scheduler.clock,
+            unref: this.#scheduler.unref,
+            lazy: this.#scheduler.lazy,
+            timeout: this.#timeout,
+            refreshTimeout: this.#refreshTimeout,
+            maxAge: this.#maxAge,
+            staleTimeout: this.#staleTimeout,
+            refreshAhead: this.#refreshAhead,
+            refresher: this.#refresher,
+            sorted: this.#sorted,
+            compare: this.#compare,
+            indexed: this.#indexed
+        });
+    }
+
+    #now()
+    {
+        return this.#scheduler.clock.now();
+    }
+
+    #emit(type, event, item)
+    {
+        const listeners = this.#events.get(type);
+        if (!listeners && !this.#deferred) return;
+        event = { type, ...event };
+        if (item?.timer) {
+            event.timeout = item.timer.timeout;
+            event.expires = item.timer.deadline;
+            if (item.timer.limit !== undefined)
+                event.limit = item.timer.limit;
+        }
+        if (this.#deferred) {
+            if (CHANGES.includes(type)) this.#deferred.changes.push(event);
+            this.#deferred.tasks.push(() => this.#emit(type, event));
+        } else for (const fn of [...listeners])
+            fn(event, this);
+    }
+
+    #refreshItemTimeout(key, item)
+    {
+        if (item?.timer && !item.stale) {
+            item.timer.deadline = Math.min(this.#now() + item.timer.timeout, item.timer.limit ?? Infinity);
+            this.#scheduler.update(item.timer);
         }
         return item;
     }
 
-    #setItemTimeout(key, item, timeout, clear)
+    #setItemOptions(item, options)
+    {
+        if (options?.dispose !== undefined)
+            item.dispose = options.dispose;
+        if (options && item.timer)
+            for (const name of TIMER_OPTIONS)
+                if (options[name] !== undefined)
+                    item.timer[name] = options[name];
+    }
+
+    #setItemTimeout(key, item, timeout, clear, options)
     {
         if (timeout && timeout > 0) {
-            clearTimeout(item.timer?.timer);
-            item.timer = {
-                timer: setTimeout(() => super.delete(key), timeout),
-                timeout,
-                timestamp: Date.now()
-            };
-        } else if (clear) {
-            clearTimeout(item.timer?.timer);
+            const now = this.#now();
+            const maxAge = options?.maxAge ?? this.#maxAge;
+            let limit = maxAge > 0 ? now + maxAge : Infinity;
+            if (options?.expires !== undefined || options?.sliding === false)
+                limit = Math.min(limit, now + timeout);
+            item.timer ??= { key };
+            item.timer.timeout = timeout;
+            item.timer.deadline = Math.min(now + timeout, limit);
+            if (limit !== Infinity) item.timer.limit = limit;
+            else delete item.timer.limit;
+            this.#scheduler.update(item.timer);
+        } else if (clear && item.timer) {
+            this.#scheduler.delete(item.timer);
             delete item.timer;
         }
         return item;
     }
 
+    /**
+     * Create a map from the representation returned by `toJSON`.
+     * Elements whose expiration time has passed are skipped.
+     * @param {String|Iterable} json A JSON string or a list of records.
+     * @param {Object?} options Options passed to `configure`.
+     * @return {Dict} The new map.
+     */
+    static fromJSON(json, options)
+    {
+        const map = new this();
+        if (options) map.configure(options);
+        return map.load(json);
+    }
+
+    /**
+     * Get the items of a map, a `Map` or an object.
+     * @return {Object} `{map,get(key),entries()}`, where `map` is the `Dict`, if any.
+     */
+    static #source(other)
+    {
+        if (other instanceof Dict)
+            return { map: other, get: key => other.#peek(key), entries: () => other.#entries() };
+        if (other instanceof Map) {
+            return {
+                get: key => other.has(key) ? { value: other.get(key) } : undefined,
+                *entries() {
+                    for (const [key, value] of other)
+                        yield [key, { value }];
+                }
+            };
+        }
+        return {
+            get: key => Object.hasOwn(other, key) ? { value: other[key] } : undefined,
+            *entries() {
+                for (const key in other)
+                    yield [key, { value: other[key] }];
+            }
+        };
+    }
+
     /**
      * Function that defines the sort order.
      * @param first The first value to compare.
@@ -494,4 +2058,6 @@ export class Dict extends Map
     }
 }
 
-export default { Dict };
+export { ManualClock, Query, ChangeFeed, Transaction };
+
+export default { Dict, ManualClock, Query, ChangeFeed, Transaction };
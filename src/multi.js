@@ -0,0 +1,293 @@
+/*
+    Map with multiple values per key, where each value has its own timer.
+    The values are stored in a Dict whose keys are `{key}` objects, unique for each value.
+*/
+
+import { Dict } from './index.js';
+
+// Events emitted when a value is removed.
+const EVENTS = ['delete', 'expire', 'evict'];
+
+/**
+ * A map with multiple values per key, where each value has its own timeout.
+ * The values of a key are kept in insertion order.
+ * @example
+ * const connections = new MultiDict();
+ * connections.add('user', socket, 60000);
+ * connections.get('user'); // [socket]
+ */
+export class MultiDict
+{
+    #items = null; // {key} → value
+    #keys = new Map(); // key → Set of {key}
+
+    /**
+     * @param entries Objects, `[key,value,timeout]` arrays or maps whose values are added.
+     */
+    constructor(...entries)
+    {
+        this.#attach(new Dict());
+        this.#assign(entries);
+    }
+
+    /**
+     * Create a map with the specified options.
+     * @param {Object} options The options of the map; see `configure`.
+     * @param entries Objects, `[key,value,timeout]` arrays or maps whose values are added.
+     * @return {MultiDict} The new map.
+     */
+    static create(options, ...entries)
+    {
+        return new this().configure(options).#assign(entries);
+    }
+
+    /**
+     * Configure the map; see `Dict#configure`.
+     * The `maxSize` option limits the number of values, and the `dispose` function receives the key of the value.
+     */
+    configure(options)
+    {
+        const { dispose, ...rest } = options;
+        if (typeof(dispose) === 'function')
+            rest.dispose = (value, item, reason) => dispose(value, item.key, reason);
+        else if (dispose !== undefined)
+            rest.dispose = dispose;
+        this.#items.configure(rest);
+        return this;
+    }
+
+    /**
+     * The number of keys.
+     */
+    get size()
+    {
+        this.#purge();
+        return this.#keys.size;
+    }
+
+    /**
+     * Get the number of values.
+     * @param key The key whose values are counted. By default, the values of all keys are counted.
+     */
+    count(key)
+    {
+        const count = this.#purge();
+        return key === undefined ? count : this.#keys.get(key)?.size ?? 0;
+    }
+
+    /**
+     * Add a value to a key.
+     * @param key The key of the value.
+     * @param value The value to add.
+     * @param {Number|Date|Object?} timeout The timeout of the value; see `Dict#set`.
+     * @return The added value.
+     */
+    add(key, value, timeout)
+    {
+        const item = { key };
+        this.#items.set(item, value, timeout);
+        if (this.#items.ttl(item) !== undefined) // not expired already
+            this.#link(item);
+        return value;
+    }
+
+    /**
+     * Get the values of a key, in insertion order.
+     * @param key The key of the values.
+     * @param {Boolean} refreshTimeout Whether to refresh the timers of the values.
+     * @return {Array} The values of `key`, or an empty array if it does not exist.
+     */
+    get(key, refreshTimeout)
+    {
+        this.#purge();
+        return Array.from(this.#keys.get(key) ?? [], item => this.#items.get(item, refreshTimeout));
+    }
+
+    /**
+     * Check if a key has a value.
+     * @param key The key of the value.
+     * @param value The value to check for. If `undefined`, check for any value.
+     */
+    has(key, value)
+    {
+        return this.#find(key, value).length !== 0;
+    }
+
+    /**
+     * Delete the values of a key.
+     * @param key The key of the values.
+     * @param value The value to delete. If `undefined`, delete all the values of the key.
+     * @return The number of deleted values.
+     */
+    delete(key, value)
+    {
+        const items = this.#find(key, value);
+        for (const item of items)
+            this.#items.delete(item);
+        return items.length;
+    }
+
+    /**
+     * Delete the values that pass the test function.
+     * @param {Function} fn `Function(value,key,map)` used to test.
+     * @return The number of deleted values.
+     */
+    sweep(fn)
+    {
+        return this.#items.sweep((value, item) => fn(value, item.key, this));
+    }
+
+    /**
+     * Delete all the values.
+     * @return The number of deleted values.
+     */
+    clear()
+    {
+        return this.#items.clear();
+    }
+
+    /**
+     * Cancel all the timers, and dispose all the values; see `Dict#destroy`.
+     */
+    destroy()
+    {
+        this.#items.destroy();
+        this.#keys.clear();
+    }
+
+    /**
+     * Search for a single value that pass the test function.
+     * @param {Function} fn `Function(value,key,map)` used to test.
+     * @return The key/value pair found, otherwise `undefined`.
+     */
+    find(fn)
+    {
+        const pair = this.#items.find((value, item) => fn(value, item.key, this));
+        return pair && [pair[0].key, pair[1]];
+    }
+
+    /**
+     * Create an identical shallow copy.
+     */
+    clone(refreshTimeout)
+    {
+        return MultiDict.#wrap(this.#items.clone(refreshTimeout));
+    }
+
+    /**
+     * Create a map containing a shallow copy of the values that pass the test function.
+     * The values keep their remaining timeout.
+     * @param {Function} fn `Function(value,key,map)` used to test.
+     */
+    filter(fn)
+    {
+        return MultiDict.#wrap(this.#items.filter((value, item) => fn(value, item.key, this), false));
+    }
+
+    /**
+     * Executes a provided function once per each value, in insertion order.
+     * @param {Function} fn `Function(value,key,map)` to execute for each value.
+     * @param self Value to use as `this` when executing `fn`.
+     */
+    each(fn, self)
+    {
+        if (self) fn = fn.bind(self);
+        this.#items.each((value, item) => fn(value, item.key, this));
+        return this;
+    }
+
+    /**
+     * Returns an iterable of the keys, in insertion order.
+     */
+    *keys()
+    {
+        this.#purge();
+        yield * this.#keys.keys();
+    }
+
+    /**
+     * Returns an iterable of the values of all keys, in insertion order.
+     */
+    *values()
+    {
+        yield * this.#items.values();
+    }
+
+    /**
+     * Returns an iterable of key/value pairs for every value, in insertion order.
+     */
+    *entries()
+    {
+        for (const [item, value] of this.#items.entries())
+            yield [item.key, value];
+    }
+
+    *[Symbol.iterator]()
+    {
+        yield * this.entries();
+    }
+
+    #assign(entries)
+    {
+        for (const entry of entries) {
+            if (entry instanceof MultiDict) {
+                // The values keep their remaining timeout; see `Dict#clone`.
+                this.#items.concat(entry.#items, false);
+                for (const item of entry.#items.keys())
+                    if (this.#items.ttl(item) !== undefined) this.#link(item);
+            } else if (entry instanceof Map)
+                entry.forEach((value, key) => this.add(key, value));
+            else if (entry instanceof Array)
+                this.add(...entry);
+            else for (const key in entry)
+                this.add(key, entry[key]);
+        }
+        return this;
+    }
+
+    // Reading the size deletes the expired values.
+    #purge()
+    {
+        return this.#items.size;
+    }
+
+    #find(key, value)
+    {
+        this.#purge();
+        const items = [...this.#keys.get(key) ?? []];
+        return value === undefined ? items
+            : items.filter(item => Object.is(this.#items.peek(item), value));
+    }
+
+    #attach(items)
+    {
+        this.#items = items;
+        for (const event of EVENTS)
+            items.on(event, ({ key: item }) => this.#unlink(item));
+    }
+
+    #link(item)
+    {
+        const items = this.#keys.get(item.key);
+        if (items) items.add(item);
+        else this.#keys.set(item.key, new Set([item]));
+    }
+
+    #unlink(item)
+    {
+        const items = this.#keys.get(item.key);
+        if (items?.delete(item) && !items.size)
+            this.#keys.delete(item.key);
+    }
+
+    static #wrap(items)
+    {
+        const map = new MultiDict();
+        map.#attach(items);
+        for (const item of items.keys())
+            map.#link(item);
+        return map;
+    }
+}
+
+export default { MultiDict };
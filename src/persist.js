@@ -0,0 +1,235 @@
+/*
+    File-backed persistence of a Dict using snapshots and an append-only journal (Node.js only).
+    The snapshot is the JSON representation of the map (see `Dict#toJSON`).
+    The journal is a file next to the snapshot with one JSON record per line.
+*/
+
+import fs from 'node:fs';
+import { Buffer } from 'node:buffer';
+
+import { Dict } from './index.js';
+import { CHANGES } from './util.js';
+
+function readJournal(path) {
+    try {
+        return fs.readFileSync(path, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return '';
+        throw error;
+    }
+}
+
+function parseJournal(data) {
+    const records = [];
+    const lines = data.split('\n');
+    for (let i = 0; i < lines.length; ++i) {
+        if (!lines[i]) continue;
+        try {
+            records.push(JSON.parse(lines[i]));
+        } catch (error) {
+            // A partially written last line is the result of an interrupted write.
+            if (i < lines.length - 1) throw error;
+        }
+    }
+    return records;
+}
+
+/**
+ * Persist the elements of a map to a local file.
+ *
+ * Every `set`, `update`, `delete`, `expire` and `evict` event is appended to the journal.
+ * A snapshot writes the whole map to the file and truncates the journal (compaction).
+ * Refreshing a timer on read is not journaled; the next snapshot records the new expiration time.
+ * Destroying the map flushes the journal, and stops persisting it; see `close`.
+ */
+export class Persistence
+{
+    #map;
+    #path;
+    #journal;
+    #options;
+    #fd = null;
+    #buffer = [];
+    #records = 0;
+    #timers = [];
+    #listener = event => this.#append(event);
+    #close = () => this.close();
+
+    /**
+     * @param {Dict} map The map to persist.
+     * @param {String} path The path of the snapshot file. The journal is `${path}.log`.
+     * @param {Object?} options
+     * @param {String} options.flush When to write the journal records to the file:
+     * - `always` — After every operation. This is the default.
+     * - `interval` — Every `flushInterval` milliseconds.
+     * - `manual` — Only when calling `flush`, `snapshot` or `close`.
+     * @param {Number} options.flushInterval Milliseconds between writes in `interval` mode. Default is `1000`.
+     * @param {Boolean} options.fsync Whether to flush the file to the storage device after writing. Default is `false`.
+     * @param {Number} options.snapshotInterval Milliseconds between snapshots. Default is `0` (disabled).
+     * @param {Number} options.maxJournalSize Number of journal records that triggers a snapshot. Default is `Infinity`.
+     */
+    constructor(map, path, options)
+    {
+        this.#map = map;
+        this.#path = path;
+        this.#journal = `${path}.log`;
+        this.#options = {
+            flush: 'always',
+            flushInterval: 1000,
+            fsync: false,
+            snapshotInterval: 0,
+            maxJournalSize: Infinity,
+            ...options
+        };
+        if (!['always', 'interval', 'manual'].includes(this.#options.flush))
+            throw new TypeError(`Invalid flush policy: ${this.#options.flush}`);
+
+        // Discard a partially written last line, so that the next record starts on its own line.
+        const data = readJournal(this.#journal);
+        const end = data.lastIndexOf('\n') + 1;
+        if (end < data.length)
+            fs.truncateSync(this.#journal, Buffer.byteLength(data.slice(0, end)));
+        this.#records = parseJournal(data.slice(0, end)).length;
+        this.#fd = fs.openSync(this.#journal, 'a');
+        for (const event of CHANGES)
+            map.on(event, this.#listener);
+        // Stop persisting, without a snapshot, once the map is destroyed.
+        map.on('destroy', this.#close);
+        if (this.#options.flush === 'interval')
+            this.#interval(() => this.flush(), this.#options.flushInterval);
+        if (this.#options.snapshotInterval > 0)
+            this.#interval(() => this.snapshot(), this.#options.snapshotInterval);
+    }
+
+    /**
+     * The persisted map.
+     */
+    get map()
+    {
+        return this.#map;
+    }
+
+    /**
+     * Write the buffered journal records to the file.
+     */
+    flush()
+    {
+        this.#check();
+        if (!this.#buffer.length) return this;
+        fs.writeSync(this.#fd, this.#buffer.join(''));
+        this.#buffer = [];
+        if (this.#options.fsync)
+            fs.fsyncSync(this.#fd);
+        return this;
+    }
+
+    /**
+     * Write the whole map to the snapshot file, and truncate the journal.
+     */
+    snapshot()
+    {
+        this.#check();
+        const temp = `${this.#path}.tmp`;
+        const fd = fs.openSync(temp, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify(this.#map));
+            if (this.#options.fsync)
+                fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(temp, this.#path);
+        this.#buffer = [];
+        this.#records = 0;
+        fs.ftruncateSync(this.#fd, 0);
+        if (this.#options.fsync)
+            fs.fsyncSync(this.#fd);
+        return this;
+    }
+
+    /**
+     * Flush the journal, and stop persisting the map.
+     * @param {Boolean} snapshot Whether to write a snapshot before closing.
+     */
+    close(snapshot=false)
+    {
+        if (this.#fd === null) return;
+        if (snapshot) this.snapshot();
+        else this.flush();
+        for (const event of CHANGES)
+            this.#map.off(event, this.#listener);
+        this.#map.off('destroy', this.#close);
+        for (const timer of this.#timers)
+            clearInterval(timer);
+        fs.closeSync(this.#fd);
+        this.#fd = null;
+    }
+
+    #append(event)
+    {
+        const record = event.type !== 'set' && event.type !== 'update'
+            ? ['delete', event.key] : event.expires === undefined
+            ? ['set', event.key, event.value]
+            : ['set', event.key, event.value, event.timeout, event.expires];
+        if (event.limit !== undefined) record.push(event.limit);
+        this.#buffer.push(`${JSON.stringify(record)}\n`);
+        if (++this.#records >= this.#options.maxJournalSize)
+            this.snapshot();
+        else if (this.#options.flush === 'always')
+            this.flush();
+    }
+
+    #interval(fn, ms)
+    {
+        const timer = setInterval(fn, ms);
+        timer.unref?.();
+        this.#timers.push(timer);
+    }
+
+    #check()
+    {
+        if (this.#fd === null)
+            throw new Error('The persistence has been closed');
+    }
+
+    /**
+     * Rebuild a map from the snapshot file and the journal.
+     * Elements whose expiration time has passed are skipped.
+     * @param {String} path The path of the snapshot file.
+     * @param {Object?} options Options passed to `Dict#configure`.
+     * @param {Function} Class The class of the map to create.
+     * @return {Dict}
+     */
+    static restore(path, options, Class=Dict)
+    {
+        let snapshot = [];
+        try {
+            snapshot = JSON.parse(fs.readFileSync(path, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        // Replay the journal over the snapshot records, keeping the insertion order.
+        const records = new Map(snapshot.map(record => [record[0], record]));
+        for (const [op, ...record] of parseJournal(readJournal(`${path}.log`))) {
+            if (op === 'delete')
+                records.delete(record[0]);
+            else
+                records.set(record[0], record);
+        }
+        return Class.fromJSON(records.values(), options);
+    }
+
+    /**
+     * Restore a map from a file, and persist it.
+     * @param {String} path The path of the snapshot file.
+     * @param {Object?} options Options passed to the constructor.
+     * @param {Object?} mapOptions Options passed to `Dict#configure`.
+     * @return {Persistence}
+     */
+    static open(path, options, mapOptions)
+    {
+        return new this(this.restore(path, mapOptions), path, options);
+    }
+}
+
+export default { Persistence };
@@ -0,0 +1,287 @@
+/*
+    Lazy query pipeline over the elements of a Dict.
+    Each stage is a generator of `[key,value,item]` rows, where `item` is the element of the map.
+*/
+
+function compareSort(first, second) {
+    return Number(first > second) || Number(first === second) - 1;
+}
+
+/**
+ * A chainable pipeline that iterates the elements of a map once, when a terminal method is called.
+ * Iterating a query does not refresh the timers of the elements.
+ * @example
+ * map.query().filter(user => user.active).sortBy(user => user.name).take(10).toArray();
+ */
+export class Query
+{
+    #source;
+    #collect;
+
+    /**
+     * @param {Function} source Function that returns an iterable of `[key,value,item]` rows.
+     * @param {Function} collect `Function(rows)` that creates a map from an iterable of rows.
+     */
+    constructor(source, collect)
+    {
+        this.#source = source;
+        this.#collect = collect;
+    }
+
+    /**
+     * Map each value to another value.
+     * @param {Function} fn `Function(value,key)` that produces the new value.
+     */
+    map(fn)
+    {
+        return this.#pipe(function*(rows) {
+            for (const [key, value, item] of rows)
+                yield [key, fn(value, key), item];
+        });
+    }
+
+    /**
+     * Keep the elements that pass the test function.
+     * @param {Function} fn `Function(value,key)` used to test.
+     */
+    filter(fn)
+    {
+        return this.#pipe(function*(rows) {
+            for (const row of rows)
+                if (fn(row[1], row[0]))
+                    yield row;
+        });
+    }
+
+    /**
+     * Keep the first elements.
+     * @param {Number} count The max number of elements to keep.
+     */
+    take(count)
+    {
+        return this.#pipe(function*(rows) {
+            if (count <= 0) return;
+            let index = 0;
+            for (const row of rows) {
+                yield row;
+                if (++index >= count) return;
+            }
+        });
+    }
+
+    /**
+     * Skip the first elements.
+     * @param {Number} count The number of elements to skip.
+     */
+    skip(count)
+    {
+        return this.#pipe(function*(rows) {
+            let index = 0;
+            for (const row of rows)
+                if (index++ >= count)
+                    yield row;
+        });
+    }
+
+    /**
+     * Sort the elements by the value returned by a function.
+     * The elements are buffered once the pipeline is iterated.
+     * @param {Function} fn `Function(value,key)` that returns the value to sort by.
+     * @param {Function} compare `Function(first,second)` that defines the sort order.
+     */
+    sortBy(fn, compare=compareSort)
+    {
+        return this.#pipe(function*(rows) {
+            const sorted = Array.from(rows, row => [fn(row[1], row[0]), row]);
+            sorted.sort((a, b) => compare(a[0], b[0]));
+            for (const [, row] of sorted)
+                yield row;
+        });
+    }
+
+    /**
+     * Keep the first element for each distinct value returned by a function.
+     * @param {Function?} fn `Function(value,key)` that returns the identity of the element.
+     * By default, the value itself.
+     */
+    unique(fn)
+    {
+        return this.#pipe(function*(rows) {
+            const seen = new Set();
+            for (const row of rows) {
+                const identity = fn ? fn(row[1], row[0]) : row[1];
+                if (seen.has(identity)) continue;
+                seen.add(identity);
+                yield row;
+            }
+        });
+    }
+
+    /**
+     * Create a map with the resulting elements.
+     * The elements keep their remaining timeout.
+     * @return {Dict}
+     */
+    toDict()
+    {
+        return this.#collect(this.#rows());
+    }
+
+    /**
+     * Create an array with the resulting key/value pairs.
+     */
+    toArray()
+    {
+        return [...this];
+    }
+
+    /**
+     * Create an object with the resulting key/value pairs.
+     */
+    toObject()
+    {
+        return Object.fromEntries(this);
+    }
+
+    /**
+     * Create an array with the resulting keys.
+     */
+    keys()
+    {
+        return Array.from(this.#rows(), row => row[0]);
+    }
+
+    /**
+     * Create an array with the resulting values.
+     */
+    values()
+    {
+        return Array.from(this.#rows(), row => row[1]);
+    }
+
+    /**
+     * Map each element to an iterable of values, and flatten them into an array.
+     * @param {Function} fn `Function(value,key)` that returns an iterable, or a single value.
+     */
+    flatMap(fn)
+    {
+        const values = [];
+        for (const [key, value] of this.#rows()) {
+            const result = fn(value, key);
+            if (typeof(result?.[Symbol.iterator]) === 'function' && typeof(result) !== 'string')
+                values.push(...result);
+            else values.push(result);
+        }
+        return values;
+    }
+
+    /**
+     * Count the resulting elements.
+     */
+    count()
+    {
+        return this.reduce(count => count + 1, 0);
+    }
+
+    /**
+     * Get the first resulting key/value pair, or `undefined`.
+     */
+    first()
+    {
+        const { done, value } = this.#rows().next();
+        return done ? undefined : [value[0], value[1]];
+    }
+
+    /**
+     * Get the last resulting key/value pair, or `undefined`.
+     */
+    last()
+    {
+        let last;
+        for (const [key, value] of this.#rows())
+            last = [key, value];
+        return last;
+    }
+
+    /**
+     * Search for the first element that pass the test function.
+     * @param {Function} fn `Function(value,key)` used to test.
+     * @return The key/value pair found, otherwise `undefined`.
+     */
+    find(fn)
+    {
+        return this.filter(fn).first();
+    }
+
+    /**
+     * Search for the last element that pass the test function.
+     * @param {Function} fn `Function(value,key)` used to test.
+     * @return The key/value pair found, otherwise `undefined`.
+     */
+    findLast(fn)
+    {
+        return this.filter(fn).last();
+    }
+
+    /**
+     * Search for the key of the first element that pass the test function.
+     * @param {Function} fn `Function(value,key)` used to test.
+     * @return The key found, otherwise `undefined`.
+     */
+    findKey(fn)
+    {
+        return this.find(fn)?.[0];
+    }
+
+    /**
+     * Check if any of the elements passes the test function.
+     * @param {Function} fn `Function(value,key)` used to test.
+     */
+    some(fn)
+    {
+        return this.find(fn) !== undefined;
+    }
+
+    /**
+     * Check if all the elements pass the test function.
+     * @param {Function} fn `Function(value,key)` used to test.
+     */
+    every(fn)
+    {
+        return !this.some((value, key) => !fn(value, key));
+    }
+
+    /**
+     * Applies a function on each element to produce a single value.
+     * @param {Function} fn `Function(acc,value,key)` used to reduce.
+     * @param acc Starting value for the accumulator.
+     */
+    reduce(fn, acc)
+    {
+        for (const [key, value] of this.#rows())
+            acc = fn(acc, value, key);
+        return acc;
+    }
+
+    /**
+     * Iterate the resulting key/value pairs.
+     */
+    *[Symbol.iterator]()
+    {
+        for (const [key, value] of this.#rows())
+            yield [key, value];
+    }
+
+    #rows()
+    {
+        return this.#source();
+    }
+
+    #pipe(stage)
+    {
+        const source = this.#source;
+        return new Query(() => stage(source()), this.#collect);
+    }
+}
+
+export default { Query };
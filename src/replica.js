@@ -0,0 +1,195 @@
+/*
+    Replication of a Dict across threads or windows over a MessagePort or a BroadcastChannel.
+    Conflicting changes are resolved with last-writer-wins, ordered by Lamport clocks.
+*/
+
+import { Dict } from './index.js';
+import { CHANGES } from './util.js';
+
+// Order two `[counter,id]` versions; the replica id breaks ties.
+function compareVersion(a, b) {
+    return (a[0] - b[0]) || (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0);
+}
+
+/**
+ * Replicate the elements of a map to other replicas connected to a channel.
+ *
+ * Every `set`, `update`, `delete` and `expire` event is sent to the other replicas.
+ * The expiration times are absolute, so that all the replicas expire an element together;
+ * the maps must use the same clock, such as the system clock of the threads of a process.
+ * Refreshing a timer on read, and evictions, are not replicated: each replica manages its own capacity.
+ *
+ * When created, the replica sends its elements to the other replicas, and receives theirs (full sync).
+ * Each element has a version, a `[counter,id]` Lamport timestamp; the change with the greatest version wins.
+ * The versions of deleted elements are kept for `tombstoneTimeout` milliseconds, to discard older changes.
+ *
+ * The keys and values must be supported by the structured clone algorithm.
+ * @example
+ * const replica = new Replica(map, new BroadcastChannel('cache'));
+ */
+export class Replica
+{
+    #map;
+    #channel;
+    #id;
+    #counter = 0;
+    #versions = new Map(); // key → [counter,id]
+    #tombstones; // Dict of key → [counter,id]
+    #applying = null; // {key} being changed by a remote change
+    #listener = event => this.#change(event);
+    #receiver = event => this.#receive(event.data);
+    #closed = false;
+
+    /**
+     * @param {Dict} map The map to replicate.
+     * @param {MessagePort|BroadcastChannel} channel The channel connected to the other replicas.
+     * @param {Object?} options
+     * @param {String?} options.id The id of the replica, unique among the replicas. Default is a random UUID.
+     * @param {Number?} options.tombstoneTimeout
+     * Milliseconds to keep the versions of deleted elements. Default is `60000`.
+     */
+    constructor(map, channel, options)
+    {
+        const {
+            id = crypto.randomUUID(),
+            tombstoneTimeout = 60000
+        } = options ?? {};
+        this.#map = map;
+        this.#channel = channel;
+        this.#id = id;
+        this.#tombstones = Dict.create({ timeout: tombstoneTimeout, unref: true });
+        for (const key of map.keys())
+            this.#versions.set(key, this.#tick());
+        for (const event of CHANGES)
+            map.on(event, this.#listener);
+        map.on('destroy', this.#listener);
+        channel.addEventListener('message', this.#receiver);
+        channel.start?.();
+        this.#send({ type: 'sync', changes: this.#state() });
+    }
+
+    /**
+     * The replicated map.
+     */
+    get map()
+    {
+        return this.#map;
+    }
+
+    /**
+     * The id of the replica.
+     */
+    get id()
+    {
+        return this.#id;
+    }
+
+    /**
+     * Stop replicating the map.
+     * The channel is not closed.
+     */
+    close()
+    {
+        if (this.#closed) return;
+        this.#closed = true;
+        for (const event of CHANGES)
+            this.#map.off(event, this.#listener);
+        this.#map.off('destroy', this.#listener);
+        this.#channel.removeEventListener('message', this.#receiver);
+        this.#tombstones.destroy();
+        this.#versions.clear();
+    }
+
+    #tick()
+    {
+        return [++this.#counter, this.#id];
+    }
+
+    #send(message)
+    {
+        this.#channel.postMessage(message);
+    }
+
+    // The changes that reproduce the elements of the map and the deleted elements.
+    #state()
+    {
+        const changes = [];
+        for (const record of this.#map.toJSON())
+            changes.push({ type: 'set', record, version: this.#versions.get(record[0]) });
+        for (const [key, version] of this.#tombstones.entries())
+            changes.push({ type: 'delete', key, version });
+        return changes;
+    }
+
+    #change(event)
+    {
+        const { type, key } = event;
+        if (type === 'destroy') return this.close();
+        if (this.#applying && Object.is(this.#applying.key, key)) return;
+        if (type === 'evict') {
+            this.#versions.delete(key);
+            return;
+        }
+        const version = this.#tick();
+        if (type === 'set' || type === 'update') {
+            this.#versions.set(key, version);
+            this.#tombstones.delete(key);
+            const record = event.expires === undefined
+                ? [key, event.value]
+                : [key, event.value, event.timeout, event.expires];
+            if (event.limit !== undefined) record.push(event.limit);
+            this.#send({ type: 'set', record, version });
+        } else {
+            this.#versions.delete(key);
+            this.#tombstones.set(key, version);
+            this.#send({ type: type === 'expire' ? 'expire' : 'delete', key, version });
+        }
+    }
+
+    #receive(message)
+    {
+        if (this.#closed) return;
+        switch (message?.type) {
+            case 'sync':
+                message.changes.forEach(change => this.#apply(change));
+                this.#send({ type: 'state', changes: this.#state() });
+                break;
+            case 'state':
+                message.changes.forEach(change => this.#apply(change));
+                break;
+            case 'set': case 'delete': case 'expire':
+                this.#apply(message);
+                break;
+        }
+    }
+
+    // Apply a remote change, if it is newer than the local version of the element.
+    #apply(change)
+    {
+        const { type, version } = change;
+        const key = type === 'set' ? change.record[0] : change.key;
+        this.#counter = Math.max(this.#counter, version[0]);
+        const current = this.#versions.get(key) ?? this.#tombstones.get(key, false);
+        if (current && compareVersion(version, current) <= 0) return;
+        this.#applying = { key };
+        try {
+            if (type === 'set')
+                this.#map.load([change.record]); // expired records expire the element
+            else if (type === 'delete')
+                this.#map.delete(key);
+            else
+                this.#map.expire(key, 0);
+            if (this.#map.ttl(key) !== undefined) { // without counting in the statistics
+                this.#versions.set(key, version);
+                this.#tombstones.delete(key);
+            } else {
+                this.#versions.delete(key);
+                this.#tombstones.set(key, version);
+            }
+        } finally {
+            this.#applying = null;
+        }
+    }
+}
+
+export default { Replica };
@@ -0,0 +1,265 @@
+/*
+    Expiration scheduler shared by all the elements of a Dict.
+    A single timer is armed for the earliest deadline of a binary min-heap.
+*/
+
+import { systemClock } from './clock.js';
+
+// Maximum delay of `setTimeout`; longer delays fire immediately.
+const MAX_DELAY = 0x7FFFFFFF;
+
+/**
+ * Schedule entries to expire at a given deadline using a single timer.
+ * Each entry is an object with a `deadline` property, in milliseconds since the epoch.
+ * The scheduler stores the position of the entry in the heap in its `index` property,
+ * and a sequence number in its `order` property, so that entries with the same deadline
+ * expire in the order they were scheduled.
+ */
+export class Scheduler
+{
+    #heap = [];
+    #timer = null;
+    #deadline = Infinity; // deadline of the armed timer
+    #callback;
+    #clock;
+    #unref = false;
+    #lazy = false;
+    #sweeper = null;
+    #order = 0;
+
+    /**
+     * @param {Function} callback `Function(entry)` called for each expired entry.
+     * @param {Object} clock The clock used to measure time and schedule the timer.
+     */
+    constructor(callback, clock=systemClock)
+    {
+        this.#callback = callback;
+        this.#clock = clock;
+    }
+
+    /**
+     * The clock used to measure time and schedule the timer.
+     */
+    get clock()
+    {
+        return this.#clock;
+    }
+
+    /**
+     * The number of scheduled entries.
+     */
+    get size()
+    {
+        return this.#heap.length;
+    }
+
+    /**
+     * Whether the timer does not keep the Node.js event loop active.
+     */
+    get unref()
+    {
+        return this.#unref;
+    }
+
+    set unref(value)
+    {
+        this.#unref = !!value;
+        for (const timer of [this.#timer, this.#sweeper?.timer])
+            if (timer !== null && timer !== undefined)
+                this.#unref ? timer.unref?.() : timer.ref?.();
+    }
+
+    /**
+     * Whether the timer is disabled, and entries only expire when calling `expire`.
+     */
+    get lazy()
+    {
+        return this.#lazy;
+    }
+
+    set lazy(value)
+    {
+        this.#lazy = !!value;
+        this.#arm();
+    }
+
+    /**
+     * Periodically expire due entries, at most `limit` each time.
+     * @param {Number} interval Milliseconds between runs. Specify `0` to stop.
+     * @param {Number} limit The maximum number of entries to expire each time.
+     */
+    sweep(interval, limit=Infinity)
+    {
+        if (this.#sweeper)
+            this.#clock.clearTimeout(this.#sweeper.timer);
+        this.#sweeper = null;
+        if (!(interval > 0)) return;
+        const sweeper = { interval, limit, timer: null };
+        this.#sweeper = sweeper;
+        const tick = () => {
+            sweeper.timer = this.#clock.setTimeout(() => {
+                if (this.#sweeper !== sweeper) return;
+                tick();
+                this.expire(limit);
+            }, interval);
+            if (this.#unref) sweeper.timer.unref?.();
+        };
+        tick();
+    }
+
+    /**
+     * The interval and limit of the periodic expiration, if any.
+     */
+    get sweeper()
+    {
+        return this.#sweeper && { interval: this.#sweeper.interval, limit: this.#sweeper.limit };
+    }
+
+    /**
+     * Expire the due entries.
+     * @param {Number} limit The maximum number of entries to expire.
+     * @return The number of expired entries.
+     */
+    expire(limit=Infinity)
+    {
+        const heap = this.#heap;
+        if (!heap.length) return 0;
+        const now = this.#clock.now();
+        let count = 0;
+        while (count < limit && heap.length && heap[0].deadline <= now) {
+            ++count;
+            this.#callback(this.#remove(0));
+        }
+        return count;
+    }
+
+    /**
+     * Schedule an entry.
+     * @param {Object} entry The entry to schedule.
+     */
+    add(entry)
+    {
+        entry.order = ++this.#order;
+        entry.index = this.#heap.push(entry) - 1;
+        this.#up(entry.index);
+        this.#arm();
+        return entry;
+    }
+
+    /**
+     * Reschedule an entry after its deadline has changed.
+     * @param {Object} entry The scheduled entry.
+     */
+    update(entry)
+    {
+        if (this.#heap[entry.index] !== entry)
+            return this.add(entry);
+        entry.order = ++this.#order;
+        this.#down(this.#up(entry.index));
+        this.#arm();
+        return entry;
+    }
+
+    /**
+     * Unschedule an entry.
+     * @param {Object} entry The scheduled entry.
+     * @return Whether the entry was scheduled.
+     */
+    delete(entry)
+    {
+        if (this.#heap[entry.index] !== entry)
+            return false;
+        this.#remove(entry.index);
+        this.#arm();
+        return true;
+    }
+
+    /**
+     * Unschedule all the entries, and cancel the timers.
+     */
+    clear()
+    {
+        for (const entry of this.#heap)
+            entry.index = -1;
+        this.#heap = [];
+        this.sweep(0);
+        this.#arm();
+    }
+
+    #remove(index)
+    {
+        const heap = this.#heap;
+        const entry = heap[index];
+        const last = heap.pop();
+        if (last !== entry) {
+            heap[last.index = index] = last;
+            this.#down(this.#up(index));
+        }
+        entry.index = -1;
+        return entry;
+    }
+
+    #arm()
+    {
+        const deadline = this.#heap.length && !this.#lazy ? this.#heap[0].deadline : Infinity;
+        // A timer that fires too early simply re-arms itself.
+        if (deadline >= this.#deadline && deadline !== Infinity)
+            return;
+        if (this.#timer !== null)
+            this.#clock.clearTimeout(this.#timer);
+        this.#timer = null;
+        this.#deadline = deadline;
+        if (deadline !== Infinity) {
+            const delay = Math.min(Math.max(0, deadline - this.#clock.now()), MAX_DELAY);
+            this.#timer = this.#clock.setTimeout(() => this.#run(), delay);
+            if (this.#unref) this.#timer.unref?.();
+        }
+    }
+
+    #run()
+    {
+        this.#timer = null;
+        this.#deadline = Infinity;
+        try {
+            this.expire();
+        } finally {
+            this.#arm();
+        }
+    }
+
+    #less(a, b)
+    {
+        return a.deadline < b.deadline || (a.deadline === b.deadline && a.order < b.order);
+    }
+
+    #up(index)
+    {
+        const heap = this.#heap;
+        const entry = heap[index];
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!this.#less(entry, heap[parent])) break;
+            heap[heap[parent].index = index] = heap[parent];
+            index = parent;
+        }
+        heap[entry.index = index] = entry;
+        return index;
+    }
+
+    #down(index)
+    {
+        const heap = this.#heap;
+        const entry = heap[index];
+        for (;;) {
+            let child = 2 * index + 1;
+            if (child >= heap.length) break;
+            if (child + 1 < heap.length && this.#less(heap[child + 1], heap[child]))
+                ++child;
+            if (!this.#less(heap[child], entry)) break;
+            heap[heap[child].index = index] = heap[child];
+            index = child;
+        }
+        heap[entry.index = index] = entry;
+        return index;
+    }
+}
@@ -0,0 +1,140 @@
+/*
+    Staged changes of a Dict, applied all at once by `Dict#transaction`.
+*/
+
+import { result } from './util.js';
+
+/**
+ * The changes staged by a transaction.
+ * Reading returns the staged value, if any, otherwise the value of the map; see `Dict#peek`.
+ * The changes are not visible in the map until the transaction is committed.
+ * A staged `add`, `update` or `ensure` checks again whether the element exists when committed,
+ * in case another writer changed it in the meantime.
+ */
+export class Transaction
+{
+    #map;
+    #staged = new Map(); // key → {value}, or null if deleted
+    #changes = []; // [method,key,value,timeout]
+    #done = false;
+
+    /**
+     * @param {Dict} map The map to change.
+     */
+    constructor(map)
+    {
+        this.#map = map;
+    }
+
+    /**
+     * The number of staged changes.
+     */
+    get size()
+    {
+        return this.#changes.length;
+    }
+
+    /**
+     * Get the value of an element.
+     * @param key The key of the element.
+     */
+    get(key)
+    {
+        const staged = this.#staged.get(key);
+        return staged === undefined ? this.#map.peek(key) : staged?.value;
+    }
+
+    /**
+     * Check if an element exists.
+     * @param key The key of the element.
+     */
+    has(key)
+    {
+        const staged = this.#staged.get(key);
+        // The remaining timeout is `undefined` if the element does not exist.
+        return staged === undefined ? this.#map.ttl(key) !== undefined : staged !== null;
+    }
+
+    /**
+     * Stage the addition or update of an element; see `Dict#set`.
+     * @return The specified `value`.
+     */
+    set(key, value, timeout)
+    {
+        return this.#stage('set', key, value, timeout);
+    }
+
+    /**
+     * Stage the addition of a new element; see `Dict#add`.
+     * @return The `value` of the new element, or `undefined` if the element already exists.
+     */
+    add(key, value, timeout)
+    {
+        if (!this.has(key))
+            return this.#stage('add', key, result(value, key, this), timeout);
+    }
+
+    /**
+     * Stage the update of an existing element; see `Dict#update`.
+     * @return The new `value` of the element, or `undefined` if the element does not exist.
+     */
+    update(key, value, timeout)
+    {
+        if (this.has(key))
+            return this.#stage('update', key, result(value, key, this), timeout);
+    }
+
+    /**
+     * Get an element if it exists, otherwise stage its addition; see `Dict#ensure`.
+     */
+    ensure(key, defval, timeout)
+    {
+        return this.has(key) ? this.get(key) : this.#stage('ensure', key, result(defval, key, this), timeout);
+    }
+
+    /**
+     * Stage the deletion of an element.
+     * @return The value of the element, or `undefined` if the element does not exist.
+     */
+    delete(key)
+    {
+        this.#check();
+        if (!this.has(key)) return;
+        const value = this.get(key);
+        this.#staged.set(key, null);
+        this.#changes.push(['delete', key]);
+        return value;
+    }
+
+    /**
+     * Apply the staged changes to the map, in order.
+     * This is called by `Dict#transaction`, which rolls back the map if it throws.
+     */
+    commit()
+    {
+        this.#check();
+        this.#done = true;
+        for (const [method, key, value, timeout] of this.#changes) {
+            if (method === 'delete')
+                this.#map.delete(key);
+            else if (method === 'set' || (method === 'update') === (this.#map.ttl(key) !== undefined))
+                this.#map.set(key, value, timeout);
+        }
+    }
+
+    #stage(method, key, value, timeout)
+    {
+        this.#check();
+        this.#staged.set(key, { value });
+        this.#changes.push([method, key, value, timeout]);
+        return value;
+    }
+
+    #check()
+    {
+        if (this.#done)
+            throw new Error('The transaction has ended');
+    }
+}
+
+export default { Transaction };
@@ -0,0 +1,246 @@
+/*
+    Order-statistic tree used to keep the elements of a Dict sorted.
+    A treap (randomized binary search tree) where each node stores the size of its subtree.
+*/
+
+function size(node) {
+    return node ? node.size : 0;
+}
+
+function update(node) {
+    node.size = 1 + size(node.left) + size(node.right);
+    return node;
+}
+
+/**
+ * Keep nodes sorted by their `sort` property, with support for positional access.
+ * Nodes with equal `sort` values are ordered by their `seq` property.
+ * Each node is an object with `sort` and `seq` properties; the tree adds the rest.
+ */
+export class Tree
+{
+    #root = null;
+    #compare;
+
+    /**
+     * @param {Function} compare `Function(first,second)` that defines the sort order.
+     */
+    constructor(compare)
+    {
+        this.#compare = compare;
+    }
+
+    /**
+     * The number of nodes.
+     */
+    get size()
+    {
+        return size(this.#root);
+    }
+
+    /**
+     * Insert a node.
+     * @param {Object} node The node to insert.
+     */
+    insert(node)
+    {
+        node.priority = Math.random();
+        node.left = null;
+        node.right = null;
+        node.size = 1;
+        const [left, right] = this.#split(this.#root, other => this.#order(other, node) < 0);
+        this.#root = this.#merge(this.#merge(left, node), right);
+        return node;
+    }
+
+    /**
+     * Delete a node.
+     * @param {Object} node The node to delete.
+     */
+    delete(node)
+    {
+        this.#root = this.#delete(this.#root, node);
+    }
+
+    /**
+     * Delete all the nodes.
+     */
+    clear()
+    {
+        this.#root = null;
+    }
+
+    /**
+     * Get the node at a given position.
+     * @param {Number} index The zero-based position of the node.
+     */
+    at(index)
+    {
+        let node = this.#root;
+        while (node) {
+            const left = size(node.left);
+            if (index < left) node = node.left;
+            else if (index > left) {
+                index -= left + 1;
+                node = node.right;
+            } else return node;
+        }
+        return null;
+    }
+
+    /**
+     * Get the position of a node.
+     * @param {Object} node A node of the tree.
+     */
+    indexOf(node)
+    {
+        return this.#count(other => this.#order(other, node) < 0);
+    }
+
+    /**
+     * Get the number of nodes whose value is lower than the specified value.
+     */
+    rank(value)
+    {
+        return this.#count(node => this.#compare(node.sort, value) < 0);
+    }
+
+    /**
+     * Get the first node.
+     */
+    first()
+    {
+        return this.at(0);
+    }
+
+    /**
+     * Get the last node.
+     */
+    last()
+    {
+        return this.at(this.size - 1);
+    }
+
+    /**
+     * Get the node that follows another, which is not required to be in the tree.
+     */
+    next(node)
+    {
+        return this.#find(other => this.#order(other, node) > 0);
+    }
+
+    /**
+     * Get the first node whose value is greater than or equal to the specified value.
+     */
+    ceiling(value)
+    {
+        return this.#find(node => this.#compare(node.sort, value) >= 0);
+    }
+
+    /**
+     * Get the first node whose value is greater than the specified value.
+     */
+    higher(value)
+    {
+        return this.#find(node => this.#compare(node.sort, value) > 0);
+    }
+
+    /**
+     * Get the last node whose value is lower than or equal to the specified value.
+     */
+    floor(value)
+    {
+        return this.#findLast(node => this.#compare(node.sort, value) <= 0);
+    }
+
+    /**
+     * Get the last node whose value is lower than the specified value.
+     */
+    lower(value)
+    {
+        return this.#findLast(node => this.#compare(node.sort, value) < 0);
+    }
+
+    #order(first, second)
+    {
+        return this.#compare(first.sort, second.sort) || first.seq - second.seq;
+    }
+
+    // Count the nodes before the first one that fails the predicate.
+    #count(predicate)
+    {
+        let count = 0;
+        for (let node = this.#root; node;) {
+            if (predicate(node)) {
+                count += size(node.left) + 1;
+                node = node.right;
+            } else node = node.left;
+        }
+        return count;
+    }
+
+    // Find the first node that passes the predicate, which must be monotonic.
+    #find(predicate)
+    {
+        let found = null;
+        for (let node = this.#root; node;) {
+            if (predicate(node)) {
+                found = node;
+                node = node.left;
+            } else node = node.right;
+        }
+        return found;
+    }
+
+    // Find the last node that passes the predicate, which must be monotonic.
+    #findLast(predicate)
+    {
+        let found = null;
+        for (let node = this.#root; node;) {
+            if (predicate(node)) {
+                found = node;
+                node = node.right;
+            } else node = node.left;
+        }
+        return found;
+    }
+
+    // Split a subtree into the nodes that pass the predicate, and the rest.
+    #split(node, predicate)
+    {
+        if (!node) return [null, null];
+        if (predicate(node)) {
+            const [left, right] = this.#split(node.right, predicate);
+            node.right = left;
+            return [update(node), right];
+        }
+        const [left, right] = this.#split(node.left, predicate);
+        node.left = right;
+        return [left, update(node)];
+    }
+
+    #merge(left, right)
+    {
+        if (!left || !right) return left ?? right;
+        if (left.priority > right.priority) {
+            left.right = this.#merge(left.right, right);
+            return update(left);
+        }
+        right.left = this.#merge(left, right.left);
+        return update(right);
+    }
+
+    #delete(node, target)
+    {
+        if (!node) return null;
+        if (node === target)
+            return this.#merge(node.left, node.right);
+        if (this.#order(target, node) < 0)
+            node.left = this.#delete(node.left, target);
+        else
+            node.right = this.#delete(node.right, target);
+        return update(node);
+    }
+}
+
+export default { Tree };
@@ -0,0 +1,15 @@
+/*
+    Helpers shared by the modules of the package.
+*/
+
+/**
+ * Call `fn` with `args` if it is a function, otherwise return it.
+ */
+export function result(fn, ...args) {
+    return typeof(fn) === 'function' ? fn(...args) : fn;
+}
+
+// Events emitted when an element changes.
+export const CHANGES = ['set', 'update', 'delete', 'expire', 'evict'];
+
+export default { result, CHANGES };
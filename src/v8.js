@@ -0,0 +1,32 @@
+/*
+    Binary serialization of a Dict using the V8 serialization API (Node.js only).
+    https://nodejs.org/api/v8.html#serialization-api
+*/
+
+import v8 from 'node:v8';
+
+import { Dict } from './index.js';
+
+/**
+ * Serialize a map into a buffer, preserving the expiration time of the elements.
+ * Unlike JSON, values such as `Map`, `Set`, `Date` and `BigInt` are supported.
+ * @param {Dict} map The map to serialize.
+ * @return {Buffer}
+ */
+export function serialize(map) {
+    return v8.serialize(map.toJSON());
+}
+
+/**
+ * Create a map from a buffer returned by `serialize`.
+ * Elements whose expiration time has passed are skipped.
+ * @param {Buffer} buffer The serialized map.
+ * @param {Object?} options Options passed to `configure`.
+ * @param {Function} Class The class of the map to create.
+ * @return {Dict}
+ */
+export function deserialize(buffer, options, Class=Dict) {
+    return Class.fromJSON(v8.deserialize(buffer), options);
+}
+
+export default { serialize, deserialize };
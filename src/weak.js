@@ -0,0 +1,282 @@
+/*
+    Map with weakly held object keys and temporary elements.
+    The timers hold the keys through a WeakRef, and are unscheduled when the key is collected.
+*/
+
+import { Scheduler } from './scheduler.js';
+import { result } from './util.js';
+
+/**
+ * A map whose object keys are held weakly, with temporary elements.
+ * An element is deleted once its key is garbage collected, or its timeout elapses.
+ * The map is not iterable, and has no size.
+ * @example
+ * const metadata = new WeakDict();
+ * metadata.set(request, { started: Date.now() }, 60000);
+ */
+export class WeakDict
+{
+    #items = new WeakMap(); // key → {value,weak,timer?}
+    #scheduler = new Scheduler(timer => this.#expireItem(timer));
+    #registry = new FinalizationRegistry(timer => this.#scheduler.delete(timer));
+    #timeout = undefined;
+    #refreshTimeout = true;
+    #weakValues = false;
+
+    /**
+     * @param entries `[key,value,timeout]` arrays or maps whose elements are added.
+     */
+    constructor(...entries)
+    {
+        this.#assign(entries);
+    }
+
+    /**
+     * Create a map with the specified options.
+     * @param {Object} options The options of the map; see `configure`.
+     * @param entries `[key,value,timeout]` arrays or maps whose elements are added.
+     * @return {WeakDict} The new map.
+     */
+    static create(options, ...entries)
+    {
+        return new this().configure(options).#assign(entries);
+    }
+
+    /**
+     * Configure the map.
+     * @param {Object} options
+     * @param {Number?} options.timeout Default timeout of new elements, in milliseconds.
+     * @param {Boolean?} options.refreshTimeout Whether to refresh the timers when retrieving elements. Default is `true`.
+     * @param {Boolean?} options.weakValues
+     * Whether the values of new elements are held weakly, and must be objects.
+     * An element is deleted once its value is garbage collected. Default is `false`.
+     * @param {Object?} options.clock Clock used by the timers; see `Dict#configure`.
+     * It can only be changed when no element has a timer.
+     * @param {Boolean?} options.unref Whether the timers do not keep the Node.js event loop active.
+     * @param {Boolean?} options.lazy Whether expired elements are only deleted when the map is accessed.
+     */
+    configure(options)
+    {
+        if (options.timeout !== undefined)
+            this.#timeout = options.timeout ?? undefined;
+        if (options.refreshTimeout !== undefined)
+            this.#refreshTimeout = !!options.refreshTimeout;
+        if (options.weakValues !== undefined)
+            this.#weakValues = !!options.weakValues;
+        if (options.clock !== undefined && options.clock !== this.#scheduler.clock) {
+            if (this.#scheduler.size)
+                throw new Error('The clock can not be changed while there are timers');
+            const scheduler = new Scheduler(timer => this.#expireItem(timer), options.clock ?? undefined);
+            scheduler.unref = this.#scheduler.unref;
+            scheduler.lazy = this.#scheduler.lazy;
+            this.#scheduler = scheduler;
+        }
+        if (options.unref !== undefined)
+            this.#scheduler.unref = options.unref;
+        if (options.lazy !== undefined)
+            this.#scheduler.lazy = options.lazy;
+        return this;
+    }
+
+    /**
+     * Get the value of an element.
+     * @param {Object} key The key of the element.
+     * @return The value associated with `key`, or `undefined` if the element does not exist.
+     */
+    get(key, refreshTimeout=this.#refreshTimeout)
+    {
+        const item = this.#getItem(key);
+        if (!item) return;
+        if (refreshTimeout && item.timer)
+            this.#refreshItemTimeout(item);
+        return this.#value(item);
+    }
+
+    /**
+     * Check if an element exists.
+     * @param {Object} key The key of the element.
+     */
+    has(key)
+    {
+        return !!this.#getItem(key);
+    }
+
+    /**
+     * Get the remaining timeout of an element.
+     * @param {Object} key The key of the element.
+     * @return The remaining milliseconds, `Infinity` without a timer, or `undefined` if the element does not exist.
+     */
+    ttl(key)
+    {
+        const item = this.#getItem(key);
+        if (!item) return;
+        return item.timer ? item.timer.deadline - this.#scheduler.clock.now() : Infinity;
+    }
+
+    /**
+     * Get an element if it exists, otherwise sets and returns `defval`.
+     * @param {Object} key The key of the element.
+     * @param defval Default value or a `function(key,map)` that generates it.
+     * @param {Number?} timeout Timeout, in milliseconds, of the new element.
+     */
+    ensure(key, defval, timeout, refreshTimeout=this.#refreshTimeout)
+    {
+        if (this.has(key))
+            return this.get(key, refreshTimeout);
+        return this.set(key, result(defval, key, this), timeout);
+    }
+
+    /**
+     * Add or update an element.
+     * @param {Object} key The key of the element.
+     * @param value The value of the element.
+     * @param {undefined|null|Number} timeout Timeout, in milliseconds; see `Dict#set`.
+     * A `Date` or an object of options are not supported.
+     * @return The specified `value`.
+     */
+    set(key, value, timeout)
+    {
+        if (timeout !== undefined && timeout !== null && typeof(timeout) !== 'number')
+            throw new TypeError('The timeout must be a number');
+        const weak = this.#weakValues;
+        const ref = weak ? new WeakRef(value) : value; // throws before the element is added
+        let item = this.#getItem(key);
+        if (!item) {
+            item = {};
+            this.#items.set(key, item);
+            if (timeout === undefined) timeout = this.#timeout;
+        }
+        item.weak = weak;
+        item.value = ref;
+        this.#setItemTimeout(key, item, timeout);
+        if (item.timer) this.#register(key, item);
+        return value;
+    }
+
+    /**
+     * Add a new element.
+     * @param {Object} key The key of the element.
+     * @param value The value or a `function(key,map)` that generates it.
+     * @param {Number?} timeout Timeout, in milliseconds.
+     * @return The `value` of the new element, or `undefined` if the element already exists.
+     */
+    add(key, value, timeout)
+    {
+        if (!this.has(key))
+            return this.set(key, result(value, key, this), timeout);
+    }
+
+    /**
+     * Update an existing element.
+     * @param {Object} key The key of the element.
+     * @param value The value or a `function(key,map)` that generates it.
+     * @param {Number?} timeout Timeout, in milliseconds.
+     * @return The new `value` of the element, or `undefined` if the element does not exist.
+     */
+    update(key, value, timeout)
+    {
+        if (this.has(key))
+            return this.set(key, result(value, key, this), timeout);
+    }
+
+    /**
+     * Delete an element.
+     * @param {Object} key The key of the element.
+     * @return The value of the deleted element, or `undefined` if the element does not exist.
+     */
+    delete(key)
+    {
+        const item = this.#getItem(key);
+        if (!item) return;
+        this.#deleteItem(key, item);
+        return this.#value(item);
+    }
+
+    /**
+     * Delete all the elements, and cancel all the timers.
+     */
+    clear()
+    {
+        this.#items = new WeakMap();
+        this.#scheduler.clear();
+    }
+
+    #assign(entries)
+    {
+        for (const entry of entries) {
+            if (entry instanceof Map)
+                entry.forEach((value, key) => this.set(key, value));
+            else
+                this.set(...entry);
+        }
+        return this;
+    }
+
+    #getItem(key)
+    {
+        this.#scheduler.expire();
+        const item = this.#items.get(key);
+        if (item?.weak && item.value.deref() === undefined) {
+            this.#deleteItem(key, item);
+            return;
+        }
+        return item;
+    }
+
+    #value(item)
+    {
+        return item.weak ? item.value.deref() : item.value;
+    }
+
+    #deleteItem(key, item)
+    {
+        this.#items.delete(key);
+        if (item.timer) {
+            this.#scheduler.delete(item.timer);
+            this.#registry.unregister(item.timer);
+        }
+    }
+
+    #expireItem(timer)
+    {
+        this.#registry.unregister(timer);
+        const key = timer.key.deref();
+        if (key !== undefined && this.#items.get(key)?.timer === timer)
+            this.#items.delete(key);
+    }
+
+    #refreshItemTimeout(item)
+    {
+        item.timer.deadline = this.#scheduler.clock.now() + item.timer.timeout;
+        this.#scheduler.update(item.timer);
+    }
+
+    #setItemTimeout(key, item, timeout)
+    {
+        if (timeout === null) return;
+        if (timeout === undefined) {
+            if (item.timer) this.#refreshItemTimeout(item);
+            return;
+        }
+        if (item.timer) {
+            this.#scheduler.delete(item.timer);
+            this.#registry.unregister(item.timer);
+            delete item.timer;
+        }
+        if (timeout > 0) {
+            const deadline = this.#scheduler.clock.now() + timeout;
+            item.timer = this.#scheduler.add({ key: new WeakRef(key), timeout, deadline });
+        }
+    }
+
+    // Unschedule the timer once the key or the value is collected.
+    #register(key, item)
+    {
+        this.#registry.unregister(item.timer);
+        this.#registry.register(key, item.timer, item.timer);
+        if (item.weak)
+            this.#registry.register(item.value.deref(), item.timer, item.timer);
+    }
+}
+
+export default { WeakDict };
@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { performance } from 'node:perf_hooks';
+
+import { Dict } from '@flipeador/js-dictionary';
+
+const COUNT = 100000;
+
+function measure(fn) {
+    const start = performance.now();
+    fn();
+    return performance.now() - start;
+}
+
+// Previous implementation: one timer per element, refreshed on every read with `timer.refresh()`.
+function timers() {
+    const map = new Map();
+    for (let i = 0; i < COUNT; ++i) {
+        const timeout = 60000 + i;
+        const timer = setTimeout(() => map.delete(i), timeout);
+        map.set(i, { value: i, timer: { timer, timeout, timestamp: Date.now() } });
+    }
+    for (let i = 0; i < COUNT; ++i) {
+        const item = map.get(i);
+        item.timer.timer.refresh();
+        item.timer.timestamp = Date.now();
+    }
+    for (const item of map.values())
+        clearTimeout(item.timer.timer);
+    map.clear();
+}
+
+function scheduler() {
+    const map = new Dict();
+    for (let i = 0; i < COUNT; ++i)
+        map.set(i, i, 60000 + i);
+    for (let i = 0; i < COUNT; ++i)
+        map.get(i);
+    assert.equal(map.clear(), COUNT);
+}
+
+await test(`benchmark: set and refresh ${COUNT} temporary elements`, ctx => {
+    const t1 = measure(timers);
+    const t2 = measure(scheduler);
+    ctx.diagnostic(`one timer per element: ${t1.toFixed(1)}ms`);
+    ctx.diagnostic(`shared scheduler: ${t2.toFixed(1)}ms`);
+});
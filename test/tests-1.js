@@ -1,7 +1,7 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 
-import { Dict } from '@flipeador/js-dictionary';
+import { Dict, ManualClock } from '@flipeador/js-dictionary';
 
 await test('basic operations', () => {
     const map = new Dict({A: 1}, ['B', 2]);
@@ -152,3 +152,353 @@ await test('each()', () => {
     map.each((value, key) => list.push([key, value]));
     assert.deepEqual(list, [['A', 1], ['B', 2]]);
 });
+
+await test('events', async ctx => {
+    const map = new Dict({A: 1, B: 2});
+    const events = [];
+    const listener = event => events.push(event);
+    for (const type of ['set', 'update', 'delete', 'clear'])
+        map.on(type, listener);
+
+    await ctx.test('set / update', () => {
+        map.set('C', 3);
+        map.set('C', 4);
+        assert.deepEqual(events.splice(0), [
+            { type: 'set', key: 'C', value: 3 },
+            { type: 'update', key: 'C', value: 4, oldValue: 3, reason: 'replaced' }
+        ]);
+    });
+
+    await ctx.test('delete / sweep / clear', () => {
+        map.delete('A');
+        map.sweep(value => value === 2);
+        map.clear();
+        assert.deepEqual(events.splice(0), [
+            { type: 'delete', key: 'A', value: 1, reason: 'deleted' },
+            { type: 'delete', key: 'B', value: 2, reason: 'swept' },
+            { type: 'delete', key: 'C', value: 4, reason: 'swept' },
+            { type: 'clear', count: 1 }
+        ]);
+    });
+
+    await ctx.test('once / off', () => {
+        map.once('set', listener);
+        map.set('A', 1);
+        map.off('set', listener);
+        map.set('B', 2);
+        assert.deepEqual(events.splice(0), [
+            { type: 'set', key: 'A', value: 1 },
+            { type: 'set', key: 'A', value: 1 }
+        ]);
+    });
+});
+
+await test('maxSize', async ctx => {
+    const evicted = map => {
+        const keys = [];
+        map.on('evict', ({ key }) => keys.push(key));
+        return keys;
+    };
+
+    await ctx.test('lru', () => {
+        const map = new Dict().configure({ maxSize: 2 });
+        const keys = evicted(map);
+        map.set('A', 1);
+        map.set('B', 2);
+        map.get('A');
+        map.set('C', 3);
+        map.get('C', false);
+        map.add('D', 4);
+        assert.deepEqual(keys, ['B', 'A']);
+        assert.deepEqual([...map], [['C', 3], ['D', 4]]);
+    });
+
+    await ctx.test('lfu', () => {
+        const map = new Dict().configure({ maxSize: 2, policy: 'lfu' });
+        const keys = evicted(map);
+        map.set('A', 1);
+        map.set('B', 2);
+        map.get('A');
+        map.get('A');
+        map.get('B');
+        map.ensure('C', 3);
+        map.ensure('D', 4);
+        assert.deepEqual(keys, ['B', 'C']);
+        assert.deepEqual([...map], [['A', 1], ['D', 4]]);
+    });
+
+    await ctx.test('fifo', () => {
+        const map = new Dict({A: 1, B: 2, C: 3});
+        const keys = evicted(map);
+        map.configure({ maxSize: 2, policy: 'fifo' });
+        map.get('A');
+        map.concat(new Dict({D: 4}));
+        assert.deepEqual(keys, ['A', 'B']);
+        assert.deepEqual([...map], [['C', 3], ['D', 4]]);
+    });
+
+    await ctx.test('invalid options', () => {
+        assert.throws(() => new Dict().configure({ maxSize: 0 }), RangeError);
+        assert.throws(() => new Dict().configure({ policy: 'mru' }), TypeError);
+    });
+});
+
+await test('ensureAsync()', async ctx => {
+    const map = new Dict();
+    let calls = 0;
+    const loader = async key => {
+        ++calls;
+        if (key === 'error') throw new Error(key);
+        return key.toLowerCase();
+    };
+
+    await ctx.test('share a single load', async () => {
+        const values = await Promise.all([
+            map.ensureAsync('A', loader),
+            map.ensureAsync('A', loader)
+        ]);
+        assert.deepEqual(values, ['a', 'a']);
+        assert.equal(map.get('A'), 'a');
+        assert.equal(await map.ensureAsync('A', loader), 'a');
+        assert.equal(calls, 1);
+    });
+
+    await ctx.test('do not cache failures', async () => {
+        calls = 0;
+        await assert.rejects(map.ensureAsync('error', loader), new Error('error'));
+        await assert.rejects(map.ensureAsync('error', loader), new Error('error'));
+        assert.equal(map.has('error'), false);
+        assert.equal(calls, 2);
+    });
+
+    await ctx.test('cache failures with errorTimeout', async () => {
+        calls = 0;
+        await assert.rejects(map.ensureAsync('error', loader, undefined, 100));
+        await assert.rejects(map.ensureAsync('error', loader, undefined, 100));
+        assert.equal(map.has('error'), false);
+        assert.equal(calls, 1);
+    });
+
+    await ctx.test('cached failures ignore the options of the map', async () => {
+        const clock = new ManualClock();
+        const refreshed = [];
+        const other = new Dict().configure({ clock, staleTimeout: 100, refresher: key => refreshed.push(key) });
+        calls = 0;
+        await assert.rejects(other.ensureAsync('error', loader, undefined, 100));
+        clock.advance(100);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        assert.deepEqual(refreshed, []);
+        await assert.rejects(other.ensureAsync('error', loader, undefined, 100), new Error('error'));
+        assert.equal(calls, 2);
+    });
+});
+
+await test('set algebra', async ctx => {
+    const map = new Dict({A: 1, B: 2, C: 3});
+    const other = new Map([['B', 0], ['D', 4]]);
+
+    await ctx.test('union()', () => {
+        assert.deepEqual([...map.union(other)], [['A', 1], ['B', 2], ['C', 3], ['D', 4]]);
+        assert.deepEqual([...map.union({E: 5})], [['A', 1], ['B', 2], ['C', 3], ['E', 5]]);
+    });
+
+    await ctx.test('intersection() / difference()', () => {
+        assert.deepEqual([...map.intersection(other)], [['B', 2]]);
+        assert.deepEqual([...map.difference(other)], [['A', 1], ['C', 3]]);
+    });
+
+    await ctx.test('symmetricDifference()', () => {
+        const result = map.symmetricDifference(new Dict({B: 0, D: 4}));
+        assert(result instanceof Dict);
+        assert.deepEqual([...result], [['A', 1], ['C', 3], ['D', 4]]);
+    });
+
+    await ctx.test('isSubsetOf() / isSupersetOf()', () => {
+        assert.equal(map.isSubsetOf({A: 0, B: 0, C: 0, D: 0}), true);
+        assert.equal(map.isSubsetOf(other), false);
+        assert.equal(map.isSupersetOf(new Dict({A: 0, C: 0})), true);
+        assert.equal(map.isSupersetOf(other), false);
+    });
+
+    await ctx.test('in place', () => {
+        const copy = map.clone();
+        assert.equal(copy.difference({A: 0}, true), copy);
+        assert.equal(copy.intersection({B: 0}, true), copy);
+        assert.deepEqual([...copy.union(other, true)], [['B', 2], ['D', 4]]);
+        assert.deepEqual([...map], [['A', 1], ['B', 2], ['C', 3]]);
+    });
+
+    await ctx.test('merge()', () => {
+        const copy = map.clone();
+        copy.merge(other);
+        assert.deepEqual([...copy], [['A', 1], ['B', 0], ['C', 3], ['D', 4]]);
+        copy.merge({A: 10, B: 20, E: 5}, (key, ours, theirs) => {
+            if (key === 'A') return ours;
+            return { value: ours.value + theirs.value, timeout: 60000 };
+        });
+        assert.deepEqual([...copy], [['A', 1], ['B', 20], ['C', 3], ['D', 4], ['E', 5]]);
+        assert(copy.ttl('B') > 0 && copy.ttl('B') <= 60000);
+        copy.clear();
+    });
+});
+
+await test('static constructors', async ctx => {
+    const users = [
+        { id: 1, country: 'AR' },
+        { id: 2, country: 'ES' },
+        { id: 3, country: 'AR' }
+    ];
+
+    await ctx.test('from()', () => {
+        const map = Dict.from(new Map([['A', 1], ['B', 2]]));
+        assert.deepEqual([...map], [['A', 1], ['B', 2]]);
+        assert.deepEqual([...Dict.from({C: 3})], [['C', 3]]);
+    });
+
+    await ctx.test('fromAsync()', async () => {
+        async function* generate() {
+            yield ['A', 1];
+            yield ['B', 2];
+        }
+        const map = await Dict.fromAsync(generate(), { timeout: 60000 });
+        assert.deepEqual([...map], [['A', 1], ['B', 2]]);
+        assert(map.ttl('A') <= 60000);
+        map.clear();
+    });
+
+    await ctx.test('groupBy()', () => {
+        const map = Dict.groupBy(users, user => user.country);
+        assert.deepEqual([...map], [['AR', [users[0], users[2]]], ['ES', [users[1]]]]);
+        const nested = Dict.groupBy(users, user => user.country, { keyBy: user => user.id });
+        assert(nested.get('AR') instanceof Dict);
+        assert.deepEqual([...nested.get('AR').keys()], [1, 3]);
+    });
+
+    await ctx.test('keyBy() / countBy()', () => {
+        assert.deepEqual([...Dict.keyBy(users, user => user.country).values()], [users[2], users[1]]);
+        assert.deepEqual([...Dict.countBy(users, user => user.country)], [['AR', 2], ['ES', 1]]);
+    });
+});
+
+await test('query()', async ctx => {
+    const map = new Dict({A: 1, B: 2, C: 3, D: 2, E: 5});
+
+    await ctx.test('stages', () => {
+        const query = map.query().filter(value => value > 1).map(value => value * 10);
+        assert.deepEqual(query.toArray(), [['B', 20], ['C', 30], ['D', 20], ['E', 50]]);
+        assert.deepEqual(query.skip(1).take(2).keys(), ['C', 'D']);
+        assert.deepEqual(query.unique().keys(), ['B', 'C', 'E']);
+        assert.deepEqual(query.sortBy((_, key) => key, (a, b) => b.localeCompare(a)).keys(), ['E', 'D', 'C', 'B']);
+        assert.deepEqual(map.query().sortBy(value => value).values(), [1, 2, 2, 3, 5]);
+    });
+
+    await ctx.test('lazy', () => {
+        let count = 0;
+        const query = map.query().map(value => (++count, value));
+        assert.equal(count, 0);
+        assert.deepEqual(query.take(2).first(), ['A', 1]);
+        assert.equal(count, 1);
+    });
+
+    await ctx.test('terminals', () => {
+        const query = map.query();
+        const dict = query.filter(value => value % 2).toDict();
+        assert(dict instanceof Dict);
+        assert.deepEqual([...dict], [['A', 1], ['C', 3], ['E', 5]]);
+        assert.deepEqual(query.take(2).toObject(), {A: 1, B: 2});
+        assert.deepEqual(query.findLast(value => value === 2), ['D', 2]);
+        assert.equal(query.findKey(value => value === 2), 'B');
+        assert.equal(query.count(), 5);
+        assert.equal(query.some(value => value > 4), true);
+        assert.equal(query.every(value => value > 4), false);
+        assert.equal(query.reduce((acc, value) => acc + value, 0), 13);
+        assert.deepEqual(query.take(2).flatMap((value, key) => [key, value]), ['A', 1, 'B', 2]);
+    });
+
+    await ctx.test('map methods', () => {
+        assert.equal(map.some(value => value === 3), true);
+        assert.equal(map.count(value => value === 2), 2);
+        assert.equal(map.findKey(value => value === 2), 'B');
+        assert.deepEqual(map.findLast(value => value === 2), ['D', 2]);
+        assert.deepEqual([...map.mapValues(value => -value).values()], [-1, -2, -3, -2, -5]);
+        assert.deepEqual(map.flatMap(value => [value, value]).length, 10);
+        assert.deepEqual(map.toObject(), {A: 1, B: 2, C: 3, D: 2, E: 5});
+    });
+});
+
+await test('sorted', async ctx => {
+    await ctx.test('by key', () => {
+        const map = Dict.create({ sorted: true }, {C: 3, A: 1, E: 5});
+        map.set('B', 2);
+        map.set('D', 4);
+        assert.deepEqual([...map.keys()], ['A', 'B', 'C', 'D', 'E']);
+        assert.deepEqual([...map.values()], [1, 2, 3, 4, 5]);
+        assert.deepEqual(map.at(1), ['B', 2]);
+        assert.deepEqual(map.at(-1), ['E', 5]);
+        assert.deepEqual([...map.first(2)], [['A', 1], ['B', 2]]);
+        assert.deepEqual([...map.last()], [['E', 5]]);
+        assert.deepEqual([...map.range('B', 'D')], [['B', 2], ['C', 3]]);
+        assert.deepEqual([...map.range('B', 'D', true)].length, 3);
+        assert.deepEqual([...map.range(undefined, 'B')], [['A', 1]]);
+        assert.deepEqual(map.floor('BB'), ['B', 2]);
+        assert.deepEqual(map.ceiling('BB'), ['C', 3]);
+        assert.deepEqual(map.lower('B'), ['A', 1]);
+        assert.deepEqual(map.higher('E'), undefined);
+        assert.deepEqual(map.min(), ['A', 1]);
+        assert.deepEqual(map.max(), ['E', 5]);
+        assert.equal(map.rank('C'), 2);
+        map.delete('C');
+        assert.equal(map.rank('D'), 2);
+        assert.deepEqual([...map.keys()], ['A', 'B', 'D', 'E']);
+    });
+
+    await ctx.test('by value', () => {
+        const map = Dict.create({ sorted: 'value', compare: (a, b) => b - a }, {A: 1, B: 2, C: 3});
+        assert.deepEqual([...map.keys()], ['C', 'B', 'A']);
+        map.set('A', 4);
+        map.set('D', 2);
+        assert.deepEqual([...map], [['A', 4], ['C', 3], ['B', 2], ['D', 2]]);
+        assert.deepEqual(map.clone().min(), ['A', 4]);
+        map.sweep(value => value === 2);
+        assert.deepEqual([...map.keys()], ['A', 'C']);
+    });
+
+    await ctx.test('configure', () => {
+        const map = new Dict({B: 2, A: 1});
+        assert.throws(() => map.min(), TypeError);
+        assert.throws(() => map.configure({ sorted: 'other' }), TypeError);
+        map.configure({ sorted: 'key' });
+        assert.deepEqual([...map.keys()], ['A', 'B']);
+        map.configure({ sorted: false });
+        assert.deepEqual([...map.keys()], ['B', 'A']);
+    });
+});
+
+await test('indexed', async ctx => {
+    for (const indexed of [false, true]) {
+        await ctx.test(indexed ? 'indexed' : 'not indexed', () => {
+            const map = Dict.create({ indexed }, {A: 1, B: 2, C: 3, D: 4, E: 5});
+            assert.deepEqual(map.at(2), ['C', 3]);
+            assert.deepEqual(map.at(-2), ['D', 4]);
+            assert.equal(map.at(5), undefined);
+            assert.deepEqual([...map.last(2)], [['D', 4], ['E', 5]]);
+            assert.deepEqual([...map.last(0)], []);
+            assert.deepEqual([...map.slice(1, 3)], [['B', 2], ['C', 3]]);
+            assert.deepEqual([...map.slice(-2)], [['D', 4], ['E', 5]]);
+            assert.deepEqual([...map.slice(1, -3)], [['B', 2]]);
+            assert.deepEqual([...map.slice(3, 1)], []);
+            assert.equal(map.indexOf('D'), 3);
+            assert.equal(map.indexOf('Z'), -1);
+            assert.deepEqual(map.removeAt(-1), ['E', 5]);
+            assert.deepEqual(map.removeAt(0), ['A', 1]);
+            assert.equal(map.removeAt(10), undefined);
+            map.set('B', 20);
+            map.set('F', 6);
+            assert.deepEqual([...map], [['B', 20], ['C', 3], ['D', 4], ['F', 6]]);
+            assert.equal(map.indexOf('F'), 3);
+            map.sort((a, b) => b - a);
+            assert.deepEqual([...map.keys()], ['B', 'F', 'D', 'C']);
+            assert.deepEqual(map.at(1), ['F', 6]);
+        });
+    }
+});
@@ -1,7 +1,7 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 
-import { Dict } from '@flipeador/js-dictionary';
+import { Dict, ManualClock } from '@flipeador/js-dictionary';
 
 async function sleep(ms) {
     return new Promise(resolve => {
@@ -30,3 +30,734 @@ await test('temporary elements', async () => {
     await sleep(150);
     assert(map.has('key'));
 });
+
+await test('expire event', async () => {
+    const map = new Dict();
+    const events = [];
+    map.on('expire', event => events.push(event));
+
+    map.set('A', 1, 100);
+    map.set('B', 2, 100);
+    map.delete('B');
+    await sleep(150);
+    assert.deepEqual(events, [
+        { type: 'expire', key: 'A', value: 1, reason: 'expired' }
+    ]);
+});
+
+await test('shared expiration scheduler', async () => {
+    const map = new Dict();
+    const expired = [];
+    map.on('expire', ({ key }) => expired.push(key));
+
+    map.set('C', 3, 300);
+    map.set('A', 1, 100);
+    map.set('B', 2, 200);
+    map.set('D', 4, 200);
+    map.set('D', 4, 0);
+    await sleep(150);
+    assert.deepEqual(expired, ['A']);
+    map.get('B'); // refresh
+    await sleep(175);
+    assert.deepEqual(expired, ['A', 'C']);
+    await sleep(100);
+    assert.deepEqual(expired, ['A', 'C', 'B']);
+    assert.deepEqual([...map], [['D', 4]]);
+});
+
+await test('long timeouts', () => {
+    let now = 0;
+    const delays = [];
+    const callbacks = [];
+    const clock = {
+        now: () => now,
+        setTimeout: (fn, ms) => {
+            delays.push(ms);
+            callbacks.push(fn);
+            return {};
+        },
+        clearTimeout: () => undefined
+    };
+    const map = new Dict().configure({ clock });
+    map.set('A', 1, 40 * 24 * 3600 * 1000); // 40 days
+    assert.deepEqual(delays, [0x7FFFFFFF]);
+    now += 0x7FFFFFFF;
+    callbacks.pop()(); // fires before the deadline, and re-arms
+    assert.equal(map.has('A'), true);
+    assert.deepEqual(delays, [0x7FFFFFFF, 40 * 24 * 3600 * 1000 - 0x7FFFFFFF]);
+});
+
+await test('manual clock', async ctx => {
+    const clock = new ManualClock();
+    const map = new Dict().configure({ clock });
+
+    await ctx.test('expiration', () => {
+        map.set('key', 'val', 500);
+        clock.advance(499);
+        assert(map.has('key'));
+        clock.advance(1);
+        assert(!map.has('key'));
+    });
+
+    await ctx.test('refresh and keep timer', () => {
+        map.set('key', 'val', 500);
+        clock.advance(300);
+        map.set('key', 'val');
+        clock.advance(300);
+        assert(map.get('key'));
+        clock.advance(300);
+        map.get('key', false);
+        map.set('key', 'val', null);
+        clock.advance(199);
+        assert(map.has('key'));
+        clock.advance(1);
+        assert(!map.has('key'));
+    });
+
+    await ctx.test('remove timer', () => {
+        map.set('key', 'val', 100);
+        map.set('key', 'val', 0);
+        clock.advance(1000);
+        assert(map.has('key'));
+        map.clear();
+    });
+
+    await ctx.test('copy remaining timeout', () => {
+        map.set('key', 'val', 500);
+        clock.advance(200);
+        const clone = map.clone(false);
+        clock.advance(300);
+        assert(!map.has('key'));
+        assert(!clone.has('key'));
+    });
+
+    await ctx.test('change clock', () => {
+        const other = new ManualClock(10000);
+        map.set('key', 'val', 500);
+        clock.advance(200);
+        map.configure({ clock: other });
+        clock.advance(1000);
+        assert(map.has('key'));
+        other.advance(300);
+        assert(!map.has('key'));
+    });
+});
+
+await test('stale-while-revalidate', async ctx => {
+    const clock = new ManualClock();
+    const tick = () => sleep(0);
+    let version = 0;
+    const refresher = async (key, value) => `${value.split(':')[0]}:${++version}`;
+
+    await ctx.test('serve stale value while refreshing', async () => {
+        const map = new Dict().configure({ clock, refresher, staleTimeout: 100 });
+        const events = [];
+        map.on('stale', ({ key }) => events.push(key));
+        map.set('A', 'A:0', 500);
+        clock.advance(500);
+        assert.deepEqual(events, ['A']);
+        assert.equal(map.get('A'), 'A:0');
+        await tick();
+        assert.equal(map.get('A'), 'A:1');
+        clock.advance(500);
+        assert.equal(map.get('A', false), 'A:1');
+        map.clear();
+    });
+
+    await ctx.test('expire after the stale window', async () => {
+        const map = new Dict().configure({ clock, staleTimeout: 100 });
+        map.set('A', 'A:0', { timeout: 500, refresher: () => new Promise(() => undefined) });
+        map.set('B', 'B:0', 500); // no refresher
+        clock.advance(500);
+        assert.deepEqual([...map.keys()], ['A']);
+        clock.advance(99);
+        assert.equal(map.get('A'), 'A:0'); // does not refresh the timer
+        clock.advance(1);
+        assert.equal(map.has('A'), false);
+    });
+
+    await ctx.test('refresh ahead', async () => {
+        const map = new Dict().configure({ clock, refresher, refreshAhead: 0.2 });
+        version = 0;
+        map.set('A', 'A:0', 1000);
+        clock.advance(700);
+        map.get('A', false);
+        await tick();
+        assert.equal(map.get('A', false), 'A:0');
+        clock.advance(101);
+        map.get('A', false);
+        await tick();
+        assert.equal(map.get('A', false), 'A:1');
+        clock.advance(999);
+        assert.equal(map.has('A'), true);
+        map.clear();
+    });
+
+    await ctx.test('refresher errors', async () => {
+        const map = new Dict().configure({ clock, staleTimeout: 100 });
+        const errors = [];
+        map.on('error', ({ error }) => errors.push(error.message));
+        map.set('A', 'A:0', { timeout: 500, refresher: () => { throw new Error('failed'); } });
+        clock.advance(500);
+        await tick();
+        assert.deepEqual(errors, ['failed']);
+        assert.equal(map.get('A'), 'A:0');
+        clock.advance(100);
+        assert.equal(map.has('A'), false);
+    });
+
+    await ctx.test('listener errors', async () => {
+        const map = new Dict().configure({ clock, refresher, staleTimeout: 100 });
+        const errors = [];
+        map.on('error', ({ error }) => errors.push(error.message));
+        map.on('update', () => { throw new Error('listener failed'); });
+        map.set('A', 'A:0', 500);
+        clock.advance(500);
+        await tick();
+        assert.deepEqual(errors, ['listener failed']);
+        map.clear();
+    });
+});
+
+await test('absolute expiration', async ctx => {
+    const clock = new ManualClock(1000);
+    const map = new Dict().configure({ clock });
+
+    await ctx.test('Date and epoch', () => {
+        map.set('A', 1, new Date(1500));
+        map.set('B', 2, { expires: 1500 });
+        map.set('C', 3, { timeout: 500, sliding: false });
+        clock.advance(300);
+        map.get('A');
+        map.get('B');
+        map.set('C', 3);
+        clock.advance(200);
+        assert.equal(map.size, 0);
+    });
+
+    await ctx.test('expiration time has passed', () => {
+        map.set('A', 1);
+        assert.equal(map.set('A', 2, new Date(0)), 2);
+        assert.equal(map.set('B', 2, new Date(0)), 2);
+        assert.equal(map.size, 0);
+    });
+
+    await ctx.test('maxAge', () => {
+        map.set('A', 1, { timeout: 200, maxAge: 500 });
+        map.configure({ maxAge: 300 });
+        map.set('B', 2, 200);
+        for (let i = 0; i < 4; ++i) {
+            clock.advance(100);
+            map.get('A');
+            map.get('B');
+        }
+        assert.deepEqual([...map.keys()], ['A']);
+        const clone = map.clone();
+        clock.advance(100);
+        assert.equal(map.has('A'), false);
+        assert.equal(clone.has('A'), false);
+    });
+
+    await ctx.test('serialize limit', () => {
+        map.set('A', 1, { timeout: 200, sliding: false });
+        const copy = Dict.fromJSON(JSON.stringify(map), { clock });
+        clock.advance(100);
+        copy.get('A');
+        clock.advance(100);
+        assert.equal(copy.has('A'), false);
+    });
+});
+
+await test('options', async ctx => {
+    const clock = new ManualClock();
+    const map = Dict.create({ clock, timeout: 500, refreshTimeout: false, unref: true }, {A: 1});
+
+    await ctx.test('default timeout', () => {
+        map.set('B', 2, null);
+        map.set('C', 3, { sliding: false });
+        map.ensure('D', 4);
+        clock.advance(500);
+        assert.deepEqual([...map.keys()], ['B']);
+    });
+
+    await ctx.test('do not refresh by default', () => {
+        map.set('A', 1);
+        clock.advance(300);
+        map.get('A');
+        map.at(0);
+        const clone = map.clone();
+        map.sort();
+        clock.advance(200);
+        assert.deepEqual([...map.keys()], ['B']);
+        assert.deepEqual([...clone.keys()], ['B']);
+        map.set('A', 1);
+        clock.advance(300);
+        map.get('A', true);
+        clock.advance(200);
+        assert.equal(map.has('A'), true);
+        map.clear();
+    });
+});
+
+await test('lazy expiration', async ctx => {
+    const clock = new ManualClock();
+    const map = Dict.create({ clock, lazy: true });
+    const expired = [];
+    map.on('expire', ({ key }) => expired.push(key));
+
+    await ctx.test('without timers', () => {
+        map.set('A', 1, 100);
+        map.set('B', 2, 200);
+        map.set('C', 3);
+        assert.equal(clock.advance(1000), 0);
+        assert.deepEqual(expired, []);
+    });
+
+    await ctx.test('expired elements are absent', () => {
+        const other = new Dict({C: 3});
+        assert.equal(map.get('A'), undefined);
+        assert.equal(map.has('B'), false);
+        assert.equal(map.size, 1);
+        assert.deepEqual(map.at(-1), ['C', 3]);
+        assert.deepEqual([...map.first()], [['C', 3]]);
+        assert.deepEqual([...map.last()], [['C', 3]]);
+        assert.deepEqual([...map.keys()], ['C']);
+        assert(map.equals(other));
+        assert.deepEqual(expired, ['A', 'B']);
+    });
+
+    await ctx.test('background sweep', () => {
+        expired.length = 0;
+        map.configure({ sweepInterval: 100, sweepLimit: 2 });
+        for (let i = 0; i < 5; ++i)
+            map.set(i, i, 50);
+        clock.advance(100);
+        assert.deepEqual(expired, [0, 1]);
+        clock.advance(200);
+        assert.deepEqual(expired, [0, 1, 2, 3, 4]);
+        map.configure({ sweepInterval: 0 });
+        assert.equal(clock.advance(1000), 0);
+    });
+
+    await ctx.test('switch to timers', () => {
+        expired.length = 0;
+        map.set('A', 1, 100);
+        map.configure({ lazy: false });
+        clock.advance(100);
+        assert.deepEqual(expired, ['A']);
+    });
+});
+
+await test('timer introspection and control', async ctx => {
+    const clock = new ManualClock(1000);
+    const map = Dict.create({ clock }, {A: 1});
+    map.set('B', 2, 500);
+
+    await ctx.test('ttl() / expiresAt()', () => {
+        clock.advance(100);
+        assert.equal(map.ttl('A'), Infinity);
+        assert.equal(map.ttl('B'), 400);
+        assert.equal(map.ttl('C'), undefined);
+        assert.equal(map.expiresAt('B'), 1500);
+    });
+
+    await ctx.test('touch()', () => {
+        assert.equal(map.touch('B'), true);
+        assert.equal(map.touch('C'), false);
+        assert.equal(map.ttl('B'), 500);
+    });
+
+    await ctx.test('expire() / persist()', () => {
+        assert.equal(map.expire('A', 200), true);
+        assert.equal(map.expire('B', new Date(2000)), true);
+        assert.equal(map.expiresAt('A'), 1300);
+        assert.equal(map.expiresAt('B'), 2000);
+        assert.equal(map.persist('A'), true);
+        assert.equal(map.ttl('A'), Infinity);
+        assert.equal(map.expire('B', 0), true);
+        assert.equal(map.has('B'), false);
+        assert.throws(() => map.expire('A'), TypeError);
+    });
+
+    await ctx.test('metadata()', () => {
+        map.set('B', 3, 100);
+        clock.advance(10);
+        map.get('A', false);
+        assert.deepEqual([...map.metadata()], [
+            ['A', { value: 1, timeout: undefined, remaining: undefined, expires: undefined,
+                created: 1000, updated: 1000, accessed: 1110 }],
+            ['B', { value: 3, timeout: 100, remaining: 90, expires: 1200,
+                created: 1100, updated: 1100, accessed: undefined }]
+        ]);
+    });
+});
+
+await test('query() timers', () => {
+    const clock = new ManualClock();
+    const map = new Dict().configure({ clock });
+    map.set('A', 1, 1000);
+    map.set('B', 2);
+    clock.advance(400);
+
+    assert.deepEqual(map.query().values(), [1, 2]);
+    assert.equal(map.ttl('A'), 600); // not refreshed
+    const copy = map.query().map(value => value * 10).toDict();
+    assert.deepEqual([...copy], [['A', 10], ['B', 20]]);
+    assert.equal(copy.ttl('A'), 600);
+    assert.equal(copy.ttl('B'), Infinity);
+    clock.advance(600);
+    assert.deepEqual([...copy.keys()], ['B']);
+});
+
+await test('indexed expiration', () => {
+    const clock = new ManualClock();
+    const map = Dict.create({ clock, indexed: true }, {A: 1});
+    map.set('B', 2, 1000);
+    map.set('C', 3);
+    assert.equal(map.indexOf('C'), 2);
+    clock.advance(1000);
+    assert.equal(map.indexOf('C'), 1);
+    assert.deepEqual(map.at(-2), ['A', 1]);
+    assert.deepEqual([...map.slice()], [['A', 1], ['C', 3]]);
+});
+
+await test('destroy() / disposers', async ctx => {
+    const clock = new ManualClock();
+    const disposed = [];
+    const dispose = (value, key, reason) => disposed.push([key, reason]);
+
+    await ctx.test('dispose removed values', () => {
+        const map = Dict.create({ clock, dispose, maxSize: 3 }, {A: 1, B: 2});
+        map.set('C', 3, 100);
+        map.set('A', 1);
+        map.set('A', 4);
+        map.delete('A');
+        map.sweep(value => value === 2);
+        clock.advance(100);
+        map.set('D', 5, { dispose: value => disposed.push(['D', value]) });
+        map.set('E', 6);
+        map.set('F', 7);
+        map.set('G', 8);
+        assert.deepEqual(disposed.splice(0), [
+            ['A', 'replaced'],
+            ['A', 'deleted'],
+            ['B', 'swept'],
+            ['C', 'expired'],
+            ['D', 5]
+        ]);
+        map.destroy();
+        assert.deepEqual(disposed.splice(0), [
+            ['E', 'destroyed'],
+            ['F', 'destroyed'],
+            ['G', 'destroyed']
+        ]);
+    });
+
+    await ctx.test('reject further use', () => {
+        const map = new Dict({A: 1});
+        map.set('B', 2, 60000);
+        map.destroy();
+        assert.throws(() => map.get('A'), new Error('The map has been destroyed'));
+        assert.throws(() => map.set('A', 1), Error);
+        assert.throws(() => map.size, Error);
+        assert.throws(() => [...map], Error);
+    });
+
+    await ctx.test('Symbol.dispose / Symbol.asyncDispose', async () => {
+        const map = Dict.create({ dispose }, {A: 1});
+        map[Symbol.dispose ?? Symbol.for('nodejs.dispose')]();
+        assert.deepEqual(disposed.splice(0), [['A', 'destroyed']]);
+
+        const other = Dict.create({ dispose });
+        const promise = other.ensureAsync('B', async () => 2);
+        await other[Symbol.asyncDispose ?? Symbol.for('nodejs.asyncDispose')]();
+        assert.equal(await promise, 2);
+        assert.deepEqual(disposed.splice(0), [['B', 'destroyed']]);
+
+        const clock = new ManualClock();
+        const refresher = async () => {
+            await sleep(10);
+            return 'C:1';
+        };
+        const refreshing = Dict.create({ clock, dispose, refresher, staleTimeout: 100 });
+        refreshing.set('C', 'C:0', 100);
+        clock.advance(100);
+        await refreshing[Symbol.asyncDispose ?? Symbol.for('nodejs.asyncDispose')]();
+        assert.deepEqual(disposed.splice(0), [['C', 'replaced'], ['C', 'destroyed']]);
+    });
+});
+
+await test('changes() / watch()', async ctx => {
+    const clock = new ManualClock();
+
+    await ctx.test('records', async () => {
+        const map = Dict.create({ clock }, {A: 1});
+        const feed = map.changes();
+        map.set('B', 2, 1000);
+        map.set('A', 10);
+        map.delete('A');
+        clock.advance(1000);
+        const records = [];
+        for await (const { type, key, value } of feed) {
+            records.push([type, key, value]);
+            if (records.length === 4) break;
+        }
+        assert.deepEqual(records, [
+            ['set', 'B', 2],
+            ['update', 'A', 10],
+            ['delete', 'A', 10],
+            ['expire', 'B', 2]
+        ]);
+        assert.deepEqual(await feed.next(), { value: undefined, done: true });
+    });
+
+    await ctx.test('wait for changes', async () => {
+        const map = new Dict();
+        const feed = map.watch('A', { snapshot: true });
+        const next = feed.next();
+        map.set('B', 2);
+        map.set('A', 1);
+        assert.deepEqual((await next).value, { type: 'set', key: 'A', value: 1 });
+        map.destroy();
+        assert.deepEqual(await feed.next(), { value: undefined, done: true });
+    });
+
+    await ctx.test('snapshot', async () => {
+        const map = Dict.create({ clock }, {A: 1});
+        map.set('B', 2, 1000);
+        const feed = map.changes({ snapshot: true });
+        assert.deepEqual((await feed.next()).value, { type: 'set', key: 'A', value: 1 });
+        assert.deepEqual((await feed.next()).value, { type: 'set', key: 'B', value: 2, timeout: 1000, expires: clock.now() + 1000 });
+        await feed.return();
+    });
+
+    await ctx.test('backpressure', async () => {
+        const map = new Dict();
+        const feed = map.changes({ highWaterMark: 2 });
+        map.set('A', 1);
+        map.set('B', 2);
+        map.set('C', 3);
+        assert.equal(feed.size, 2);
+        assert.equal((await feed.next()).value.key, 'B');
+        await feed.return();
+
+        const strict = map.changes({ highWaterMark: 1, overflow: 'error' });
+        map.set('D', 4);
+        map.set('E', 5);
+        assert.equal((await strict.next()).value.key, 'D');
+        await assert.rejects(strict.next(), RangeError);
+        assert.equal((await strict.next()).done, true);
+        assert.throws(() => map.changes({ overflow: 'other' }), TypeError);
+    });
+
+    await ctx.test('AbortSignal', async () => {
+        const map = new Dict();
+        const controller = new AbortController();
+        const feed = map.changes({ signal: controller.signal });
+        const next = feed.next();
+        controller.abort();
+        await assert.rejects(next, { name: 'AbortError' });
+        map.set('A', 1);
+        assert.equal((await feed.next()).done, true);
+        assert.throws(() => map.changes({ signal: controller.signal }), { name: 'AbortError' });
+    });
+});
+
+await test('transaction() / snapshot() / restore()', async ctx => {
+    const clock = new ManualClock();
+
+    // A map whose changes can fail while a transaction is being applied.
+    class StrictDict extends Dict
+    {
+        set(key, value, timeout)
+        {
+            if (key === 'invalid') throw new Error('invalid key');
+            return super.set(key, value, timeout);
+        }
+    }
+
+    await ctx.test('commit', async () => {
+        const map = Dict.create({ clock }, {A: 1, B: 2});
+        const events = [];
+        map.on('set', ({ key }) => events.push(['set', key]));
+        map.on('transaction', ({ changes }) => events.push(['transaction', changes.map(({ type, key }) => [type, key])]));
+        const result = map.transaction(tx => {
+            tx.set('C', 3, 1000);
+            assert.equal(tx.get('C'), 3);
+            assert.equal(map.has('C'), false);
+            tx.delete('A');
+            assert.equal(tx.has('A'), false);
+            assert.equal(tx.add('B', 20), undefined);
+            assert.equal(tx.update('B', () => 20), 20);
+            assert.equal(tx.ensure('D', 4), 4);
+            return 'done';
+        });
+        assert.equal(result, 'done');
+        assert.deepEqual([...map], [['B', 20], ['C', 3], ['D', 4]]);
+        assert.equal(map.ttl('C'), 1000);
+        assert.deepEqual(events, [
+            ['set', 'C'], ['set', 'D'],
+            ['transaction', [['set', 'C'], ['delete', 'A'], ['update', 'B'], ['set', 'D']]]
+        ]);
+        assert.equal(await map.transaction(async tx => tx.set('E', 5)), 5);
+        assert.equal(map.get('E'), 5);
+    });
+
+    await ctx.test('rollback', async () => {
+        const map = Dict.create({ clock }, {A: 1});
+        assert.throws(() => map.transaction(tx => {
+            tx.set('B', 2);
+            tx.ensure('C', () => { throw new Error('failed'); });
+        }), { message: 'failed' });
+        await assert.rejects(map.transaction(async tx => {
+            tx.set('B', 2);
+            throw new Error('failed');
+        }), { message: 'failed' });
+        assert.deepEqual([...map], [['A', 1]]);
+
+        // A change that fails while applying.
+        const strict = StrictDict.create({ clock }, {A: 1});
+        assert.throws(() => strict.transaction(tx => {
+            tx.delete('A');
+            tx.set('B', 2);
+            tx.set('invalid', 3);
+        }), { message: 'invalid key' });
+        assert.deepEqual([...strict], [['A', 1]]);
+
+        // Only the changed elements are restored, in their positions, including the evicted ones.
+        const full = StrictDict.create({ clock, maxSize: 3 }, {A: 1, B: 2, C: 3});
+        assert.throws(() => full.transaction(tx => {
+            tx.delete('B');
+            tx.set('B', 20);
+            tx.set('D', 4); // evict A
+            tx.set('invalid', 5);
+        }), { message: 'invalid key' });
+        assert.deepEqual([...full], [['A', 1], ['B', 2], ['C', 3]]);
+    });
+
+    await ctx.test('concurrent writers', async () => {
+        const map = Dict.create({ clock }, {A: 1, B: 2});
+        await map.transaction(async tx => {
+            assert.equal(tx.add('C', 3), 3);
+            assert.equal(tx.update('B', 20), 20);
+            assert.equal(tx.ensure('D', 4), 4);
+            await null;
+            map.set('C', 30);
+            map.delete('B');
+            map.set('D', 40);
+        });
+        assert.deepEqual([...map], [['A', 1], ['C', 30], ['D', 40]]);
+    });
+
+    await ctx.test('deferred events and disposal', () => {
+        const disposed = [];
+        const events = [];
+        const map = StrictDict.create({
+            clock,
+            dispose: (value, key, reason) => disposed.push([key, value, reason])
+        }, {A: 'sockA', C: 1}, ['E', 5, 100]);
+        for (const type of ['set', 'update', 'delete', 'expire'])
+            map.on(type, ({ key }) => events.push([type, key]));
+        assert.throws(() => map.transaction(tx => {
+            tx.set('A', 'sockA2');
+            tx.delete('C');
+            tx.set('D', 4);
+            tx.set('invalid', 0);
+        }), { message: 'invalid key' });
+        assert.deepEqual([...map], [['A', 'sockA'], ['C', 1], ['E', 5]]);
+        assert.deepEqual(disposed, []);
+        assert.deepEqual(events, []);
+
+        map.transaction(tx => {
+            tx.set('A', 'sockA2');
+            tx.delete('C');
+            assert.deepEqual(disposed, []);
+        });
+        assert.deepEqual(disposed, [['A', 'sockA', 'replaced'], ['C', 1, 'deleted']]);
+        assert.deepEqual(events, [['update', 'A'], ['delete', 'C']]);
+        clock.advance(100);
+        assert.deepEqual(events.at(-1), ['expire', 'E']);
+    });
+
+    await ctx.test('snapshot / restore', () => {
+        const map = Dict.create({ clock }, {A: 1});
+        map.set('B', 2, { timeout: 1000, maxAge: 1500 });
+        map.set('C', 3, 500);
+        const snapshot = map.snapshot();
+        const events = [];
+        map.on('update', ({ key }) => events.push(key));
+        map.delete('A');
+        map.set('B', 20, 0);
+        map.set('D', 4);
+        clock.advance(500);
+        map.restore(snapshot);
+        assert.deepEqual([...map], [['A', 1], ['B', 2]]);
+        assert.deepEqual(events, ['B', 'B']);
+        assert.equal(map.ttl('B'), 500);
+        map.touch('B');
+        assert.equal(map.ttl('B'), 1000);
+        clock.advance(1000);
+        assert.equal(map.has('B'), false);
+    });
+});
+
+await test('stats() / resetStats()', async ctx => {
+    const clock = new ManualClock();
+    const map = Dict.create({ clock, stats: true, maxSize: 2 }, { A: 1 });
+
+    await ctx.test('count the operations', () => {
+        map.get('A');
+        map.has('B');
+        map.ensure('B', 2, 1000);
+        map.add('B', 3);
+        map.at(5);
+        clock.advance(500);
+        map.set('C', 3); // evict A
+        map.delete('C');
+        clock.advance(500); // expire B
+        assert.deepEqual(map.stats(), {
+            hits: 2,
+            misses: 3,
+            hitRatio: 0.4,
+            sets: 3,
+            deletes: 1,
+            expirations: 1,
+            evictions: 1,
+            size: 0,
+            averageLifetime: 500 // (500 + 0 + 1000) / 3
+        });
+    });
+
+    await ctx.test('reset and disable', () => {
+        map.resetStats();
+        assert.deepEqual(map.stats(), {
+            hits: 0,
+            misses: 0,
+            hitRatio: 0,
+            sets: 0,
+            deletes: 0,
+            expirations: 0,
+            evictions: 0,
+            size: 0,
+            averageLifetime: 0
+        });
+        map.configure({ stats: false });
+        map.get('A');
+        assert.equal(map.stats(), undefined);
+    });
+
+    await ctx.test('uncounted lookups', () => {
+        map.configure({ stats: true });
+        map.set('A', 1);
+        assert.equal(map.peek('A'), 1);
+        map.transaction(tx => {
+            tx.add('B', tx.get('A'));
+            tx.update('A', 2);
+            tx.delete('C');
+        });
+        const { hits, misses } = map.stats();
+        assert.deepEqual({ hits, misses }, { hits: 0, misses: 0 });
+        map.destroy();
+        assert.equal(map.stats().size, 0);
+    });
+});
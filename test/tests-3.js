@@ -0,0 +1,232 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { Dict, ManualClock } from '@flipeador/js-dictionary';
+import { serialize, deserialize } from '@flipeador/js-dictionary/v8';
+import { Persistence } from '@flipeador/js-dictionary/persist';
+import { Replica } from '@flipeador/js-dictionary/replica';
+
+// Wait for the messages posted to a channel to be delivered, until `fn` returns true if specified.
+async function delivery(fn) {
+    for (let i = fn ? 100 : 1; i > 0; --i) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        if (fn?.()) return;
+    }
+}
+
+await test('toJSON() / fromJSON()', async ctx => {
+    const clock = new ManualClock(1000);
+    const map = new Dict({B: 2}, ['A', 1]).configure({ clock });
+    map.set('C', 3, 500);
+    map.set('D', 4, 100);
+    clock.advance(200);
+
+    await ctx.test('serialize remaining timeout', () => {
+        assert.equal(JSON.stringify(map), '[["B",2],["A",1],["C",3,500,1500]]');
+    });
+
+    await ctx.test('round-trip', () => {
+        const copy = Dict.fromJSON(JSON.stringify(map), { clock });
+        assert.deepEqual([...copy], [['B', 2], ['A', 1], ['C', 3]]);
+        clock.advance(299);
+        assert(copy.has('C'));
+        copy.get('C'); // refresh with the original timeout
+        clock.advance(499);
+        assert(copy.has('C'));
+        clock.advance(1);
+        assert(!copy.has('C'));
+    });
+
+    await ctx.test('skip expired elements', () => {
+        const copy = Dict.fromJSON([['A', 1, 100, 1100], ['B', 2]], { clock });
+        assert.deepEqual([...copy], [['B', 2]]);
+    });
+
+    await ctx.test('load()', () => {
+        const copy = new Dict({ A: 0, B: 0 }).configure({ clock });
+        copy.load([['A', 1, 100, 1100], ['B', 2, 100, clock.now() + 100], ['C', 3]]);
+        assert.deepEqual([...copy], [['B', 2], ['C', 3]]);
+        assert.equal(copy.ttl('B'), 100);
+    });
+});
+
+await test('serialize() / deserialize()', () => {
+    const map = new Dict({A: new Map([[1, 2]])});
+    map.set('B', 10n, 60000);
+    const copy = deserialize(serialize(map));
+    assert(copy instanceof Dict);
+    assert.deepEqual([...copy], [['A', new Map([[1, 2]])], ['B', 10n]]);
+    copy.clear();
+    map.clear();
+});
+
+await test('Persistence', async ctx => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'js-dictionary-'));
+    const file = path.join(dir, 'cache.json');
+    const clock = new ManualClock(1000);
+    ctx.after(() => fs.rmSync(dir, { recursive: true }));
+
+    await ctx.test('journal', () => {
+        const store = Persistence.open(file, {}, { clock });
+        const map = store.map;
+        map.set('A', 1);
+        map.set('B', 2, 500);
+        map.set('C', 3, 100);
+        map.set('A', 4);
+        map.delete('B');
+        map.set('B', 5);
+        clock.advance(100); // expire C
+        store.close();
+        assert.equal(fs.existsSync(file), false);
+        assert.equal(fs.readFileSync(`${file}.log`, 'utf8').split('\n').length, 8);
+
+        const copy = Persistence.restore(file, { clock });
+        assert.deepEqual([...copy], [['A', 4], ['B', 5]]);
+    });
+
+    await ctx.test('snapshot and compaction', () => {
+        const store = Persistence.open(file, { flush: 'manual', maxJournalSize: 3 }, { clock });
+        const map = store.map;
+        store.snapshot();
+        assert.equal(fs.statSync(`${file}.log`).size, 0);
+        map.set('D', 6, 1000);
+        map.set('E', 7);
+        assert.equal(fs.statSync(`${file}.log`).size, 0);
+        store.flush();
+        assert.notEqual(fs.statSync(`${file}.log`).size, 0);
+        map.delete('A'); // snapshot
+        assert.equal(fs.statSync(`${file}.log`).size, 0);
+        map.set('F', 8);
+        store.close();
+
+        clock.advance(500);
+        const copy = Persistence.restore(file, { clock });
+        assert.deepEqual([...copy], [['B', 5], ['D', 6], ['E', 7], ['F', 8]]);
+        clock.advance(500);
+        assert.equal(copy.has('D'), false);
+    });
+
+    await ctx.test('interrupted write', () => {
+        fs.appendFileSync(`${file}.log`, '["set","G",');
+        const copy = Persistence.restore(file, { clock });
+        assert.deepEqual([...copy], [['B', 5], ['E', 7], ['F', 8]]);
+        const store = Persistence.open(file, {}, { clock });
+        store.map.set('H', 9);
+        store.close();
+        const other = Persistence.restore(file, { clock });
+        assert.deepEqual([...other], [['B', 5], ['E', 7], ['F', 8], ['H', 9]]);
+    });
+
+    await ctx.test('persist() / expire()', () => {
+        const other = path.join(dir, 'timers.json');
+        const store = Persistence.open(other, {}, { clock });
+        const map = store.map;
+        map.set('A', 1, 100);
+        map.set('B', 2, 100);
+        map.persist('A');
+        map.expire('B', 10000);
+        store.close();
+
+        clock.advance(200);
+        const copy = Persistence.restore(other, { clock });
+        assert.deepEqual([...copy], [['A', 1], ['B', 2]]);
+        assert.equal(copy.ttl('A'), Infinity);
+        assert.equal(copy.ttl('B'), 9800);
+    });
+
+    await ctx.test('destroy', async () => {
+        const other = path.join(dir, 'destroy.json');
+        const store = Persistence.open(other, { flush: 'manual', snapshotInterval: 10 }, { clock });
+        store.map.set('A', 1);
+        store.map.destroy(); // flushes the journal, and stops the snapshots
+        await new Promise(resolve => setTimeout(resolve, 30));
+        assert.equal(fs.existsSync(other), false);
+        assert.deepEqual([...Persistence.restore(other, { clock })], [['A', 1]]);
+        store.close();
+    });
+});
+
+await test('Replica', async ctx => {
+    const clock = new ManualClock(Date.now());
+    const { port1, port2 } = new MessageChannel();
+    const a = new Dict({ A: 1 }).configure({ clock });
+    const b = new Dict({ B: 2 }).configure({ clock });
+    const ra = new Replica(a, port1, { id: 'a' });
+    const rb = new Replica(b, port2, { id: 'b' });
+
+    await ctx.test('full sync', async () => {
+        await delivery(() => a.size === 2 && b.size === 2);
+        assert.deepEqual([...a].sort(), [['A', 1], ['B', 2]]);
+        assert.deepEqual([...b].sort(), [['A', 1], ['B', 2]]);
+    });
+
+    await ctx.test('set, update and delete', async () => {
+        a.set('C', 3);
+        a.set('A', 10);
+        b.delete('B');
+        await delivery(() => b.get('A', false) === 10 && b.has('C') && !a.has('B'));
+        assert.deepEqual([...a].sort(), [['A', 10], ['C', 3]]);
+        assert.deepEqual([...b].sort(), [['A', 10], ['C', 3]]);
+    });
+
+    await ctx.test('absolute expiration', async () => {
+        a.set('D', 4, { timeout: 1000, maxAge: 1500 });
+        clock.advance(500);
+        await delivery(() => b.has('D'));
+        assert.equal(b.ttl('D'), 500);
+        assert.equal(b.expiresAt('D'), a.expiresAt('D'));
+        b.get('D'); // refreshed up to the limit, not replicated
+        assert.equal(b.ttl('D'), 1000);
+        clock.advance(500);
+        assert.equal(a.has('D'), false);
+        await delivery();
+        assert.equal(b.has('D'), false);
+    });
+
+    await ctx.test('last writer wins', async () => {
+        a.set('E', 'a');
+        b.set('E', 'b'); // same counter, greater id
+        await delivery(() => a.get('E', false) === 'b');
+        assert.equal(a.get('E'), 'b');
+        assert.equal(b.get('E'), 'b');
+        b.delete('E');
+        await delivery(() => !a.has('E'));
+        assert.equal(a.has('E'), false);
+        a.set('E', 'a'); // newer than the deletion
+        await delivery(() => b.get('E', false) === 'a');
+        assert.equal(a.get('E'), 'a');
+        assert.equal(b.get('E'), 'a');
+    });
+
+    await ctx.test('close', async () => {
+        rb.close();
+        a.set('F', 6);
+        await delivery();
+        assert.equal(b.has('F'), false);
+        ra.close();
+        port1.close();
+    });
+});
+
+await test('Replica / BroadcastChannel', async () => {
+    const channels = [new BroadcastChannel('dict'), new BroadcastChannel('dict'), new BroadcastChannel('dict')];
+    const maps = [new Dict({ A: 1 }), new Dict(), new Dict()];
+    const replicas = [new Replica(maps[0], channels[0])];
+    replicas.push(new Replica(maps[1], channels[1]), new Replica(maps[2], channels[2]));
+    await delivery(() => maps[1].has('A') && maps[2].has('A'));
+    maps[2].set('B', 2, 60000);
+    await delivery(() => maps[0].has('B') && maps[1].has('B'));
+    for (const map of maps) {
+        assert.deepEqual([...map], [['A', 1], ['B', 2]]);
+        assert.equal(map.expiresAt('B'), maps[2].expiresAt('B'));
+    }
+    maps[1].destroy(); // stops replicating
+    maps[0].clear();
+    await delivery(() => maps[2].size === 0);
+    assert.equal(maps[2].size, 0);
+    replicas.forEach(replica => replica.close());
+    channels.forEach(channel => channel.close());
+});
@@ -0,0 +1,244 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import v8 from 'node:v8';
+import vm from 'node:vm';
+
+import { Dict, ManualClock } from '@flipeador/js-dictionary';
+import { MultiDict } from '@flipeador/js-dictionary/multi';
+import { BiDict } from '@flipeador/js-dictionary/bidict';
+import { WeakDict } from '@flipeador/js-dictionary/weak';
+
+await test('MultiDict', async ctx => {
+    const clock = new ManualClock();
+
+    await ctx.test('add() / get() / count()', () => {
+        const map = MultiDict.create({ clock }, ['A', 1], {A: 2, B: 3});
+        map.add('A', 1);
+        assert.deepEqual(map.get('A'), [1, 2, 1]);
+        assert.deepEqual(map.get('C'), []);
+        assert.equal(map.size, 2);
+        assert.equal(map.count(), 4);
+        assert.equal(map.count('A'), 3);
+        assert.equal(map.count('C'), 0);
+        assert.deepEqual([...map], [['A', 1], ['A', 2], ['B', 3], ['A', 1]]);
+        assert.deepEqual([...map.keys()], ['A', 'B']);
+        assert.deepEqual([...map.values()], [1, 2, 3, 1]);
+    });
+
+    await ctx.test('options and copies', () => {
+        const disposed = [];
+        const map = MultiDict.create({ clock, timeout: 1000, dispose: (value, key) => disposed.push(key) }, {A: 1});
+        map.add('B', 2, 0);
+        clock.advance(400);
+        const copy = MultiDict.create({ clock }, map);
+        assert.deepEqual([...copy], [['A', 1], ['B', 2]]);
+        clock.advance(300);
+        copy.get('A'); // refreshed with the original timeout
+        clock.advance(300);
+        assert.deepEqual([...map], [['B', 2]]);
+        assert.deepEqual(disposed, ['A']);
+        assert.deepEqual([...copy], [['A', 1], ['B', 2]]);
+        clock.advance(1000);
+        assert.deepEqual([...copy], [['B', 2]]);
+    });
+
+    await ctx.test('per value expiration', () => {
+        const map = MultiDict.create({ clock });
+        map.add('A', 1, 1000);
+        map.add('A', 2, 2000);
+        map.add('A', 3);
+        clock.advance(1000);
+        assert.deepEqual(map.get('A', false), [2, 3]);
+        clock.advance(1000);
+        assert.deepEqual(map.get('A'), [3]);
+        map.delete('A', 3);
+        assert.equal(map.has('A'), false);
+        assert.equal(map.size, 0);
+    });
+
+    await ctx.test('has() / delete()', () => {
+        const map = new MultiDict(['A', 1], ['A', 2], ['A', 1], ['B', 1]);
+        assert.equal(map.has('A', 2), true);
+        assert.equal(map.has('A', 3), false);
+        assert.equal(map.delete('A', 1), 2);
+        assert.deepEqual(map.get('A'), [2]);
+        assert.equal(map.delete('A'), 1);
+        assert.equal(map.delete('A'), 0);
+        assert.deepEqual([...map], [['B', 1]]);
+    });
+
+    await ctx.test('helpers', () => {
+        const map = MultiDict.create({ clock }, ['A', 1, 1000], ['A', 2], ['B', 3]);
+        assert.deepEqual(map.find(value => value > 1), ['A', 2]);
+        const filtered = map.filter((value, key) => key === 'A');
+        assert.deepEqual([...filtered], [['A', 1], ['A', 2]]);
+        const pairs = [];
+        map.each((value, key) => pairs.push([key, value]));
+        assert.deepEqual(pairs, [...map]);
+        assert.equal(map.sweep(value => value === 2), 1);
+        assert.deepEqual([...map], [['A', 1], ['B', 3]]);
+        assert.deepEqual([...new MultiDict(map, new Map([['C', 4]]))], [['A', 1], ['B', 3], ['C', 4]]);
+        clock.advance(1000);
+        assert.deepEqual([...filtered], [['A', 2]]);
+        assert.deepEqual([...map.clone()], [['B', 3]]);
+        assert.equal(map.clear(), 1);
+        assert.equal(map.size, 0);
+    });
+
+    await ctx.test('dispose', () => {
+        const disposed = [];
+        const map = MultiDict.create({ dispose: (value, key, reason) => disposed.push([key, value, reason]) });
+        map.add('A', 1);
+        map.add('A', 2);
+        map.delete('A', 1);
+        map.destroy();
+        assert.deepEqual(disposed, [['A', 1, 'deleted'], ['A', 2, 'destroyed']]);
+        assert(!(map instanceof Dict));
+    });
+});
+
+await test('BiDict', async ctx => {
+    const clock = new ManualClock();
+
+    await ctx.test('reverse lookup', () => {
+        const map = BiDict.create({ clock }, {A: 1}, ['B', 2]);
+        assert(map instanceof Dict);
+        assert.equal(map.getKey(1), 'A');
+        assert.equal(map.getKey(3), undefined);
+        assert.equal(map.hasValue(2), true);
+        map.set('A', 3);
+        assert.equal(map.hasValue(1), false);
+        assert.equal(map.getKey(3), 'A');
+        map.update('B', () => 4);
+        assert.deepEqual(map.getKeys(4), ['B']);
+        assert.equal(map.deleteValue(4), 1);
+        assert.equal(map.has('B'), false);
+        map.set('C', 5, 1000);
+        map.sort((a, b) => b - a);
+        assert.equal(map.getKey(5), 'C');
+        clock.advance(1000);
+        assert.equal(map.hasValue(5), false);
+        map.sweep(() => true);
+        assert.equal(map.hasValue(3), false);
+    });
+
+    await ctx.test('unique values', async () => {
+        const map = new BiDict({A: 1, B: 2});
+        assert.throws(() => map.set('B', 1), Error);
+        assert.throws(() => map.add('C', 1), Error);
+        assert.throws(() => map.update('B', 1), Error);
+        assert.throws(() => map.ensure('C', () => 1), Error);
+        assert.equal(map.ensure('A', 1), 1);
+        assert.deepEqual([...map], [['A', 1], ['B', 2]]);
+        assert.throws(() => map.merge({C: 1}), Error);
+        assert.throws(() => map.merge({B: 3}, () => ({ value: 1 })), Error);
+        assert.deepEqual([...map], [['A', 1], ['B', 2]]);
+        await assert.rejects(map.ensureAsync('C', async () => 1), Error);
+        assert.deepEqual([...map], [['A', 1], ['B', 2]]);
+        assert.equal(await map.ensureAsync('C', async () => 3), 3);
+        map.off('set');
+        map.set('D', 4);
+        assert.equal(map.getKey(4), 'D');
+    });
+
+    await ctx.test('transaction', () => {
+        const map = new BiDict({A: 1, B: 2});
+        assert.throws(() => map.transaction(tx => tx.set('C', 1)), Error);
+        assert.equal(map.getKey(1), 'A');
+        map.transaction(tx => {
+            tx.delete('A');
+            tx.set('B', 3);
+            tx.set('C', 1);
+            tx.set('D', 2);
+        });
+        assert.deepEqual([...map], [['B', 3], ['C', 1], ['D', 2]]);
+        assert.equal(map.getKey(1), 'C');
+        assert.equal(map.getKey(2), 'D');
+    });
+
+    await ctx.test('duplicated values', () => {
+        const map = BiDict.create({ unique: false }, {A: 1, B: 1, C: 2});
+        assert.deepEqual(map.getKeys(1), ['A', 'B']);
+        assert.equal(map.getKey(1), 'A');
+        assert.equal(map.deleteValue(1), 2);
+        assert.deepEqual([...map], [['C', 2]]);
+    });
+
+    await ctx.test('stats', () => {
+        const map = BiDict.create({ stats: true });
+        map.add('A', 1);
+        map.ensure('B', 2);
+        map.update('B', 3);
+        map.add('A', 4);
+        const { hits, misses } = map.stats();
+        assert.deepEqual({ hits, misses }, { hits: 1, misses: 2 });
+    });
+});
+
+await test('WeakDict', async ctx => {
+    const clock = new ManualClock();
+    const [A, B, C] = [{}, {}, {}];
+
+    await ctx.test('elements', () => {
+        const map = WeakDict.create({ clock }, [A, 1], new Map([[B, 2]]));
+        assert.equal(map.get(A), 1);
+        assert.equal(map.has(B), true);
+        assert.equal(map.has(C), false);
+        assert.equal(map.ensure(C, () => 3), 3);
+        assert.equal(map.ensure(C, 4), 3);
+        assert.equal(map.add(C, 5), undefined);
+        assert.equal(map.update(C, () => 4), 4);
+        assert.equal(map.delete(C), 4);
+        assert.equal(map.update(C, 5), undefined);
+        assert.throws(() => map.set('key', 1), TypeError);
+        map.clear();
+        assert.equal(map.has(A), false);
+    });
+
+    await ctx.test('timeouts', () => {
+        const map = WeakDict.create({ clock, timeout: 1000 });
+        map.set(A, 1);
+        map.set(B, 2, 0);
+        clock.advance(500);
+        assert.equal(map.ttl(A), 500);
+        assert.equal(map.ttl(B), Infinity);
+        map.get(A);
+        clock.advance(500);
+        assert.equal(map.get(A, false), 1);
+        clock.advance(500);
+        assert.equal(map.has(A), false);
+        assert.equal(map.ttl(A), undefined);
+        map.set(B, 3, null);
+        assert.equal(map.ttl(B), Infinity);
+        map.set(A, 1);
+        assert.throws(() => map.configure({ clock: new ManualClock() }), Error);
+
+        // Only numbers are supported.
+        const C = {};
+        map.set(C, 3, null);
+        assert.equal(map.ttl(C), Infinity);
+        assert.throws(() => map.set({}, 4, new Date(clock.now() + 1000)), TypeError);
+        assert.throws(() => map.set(C, 4, { timeout: 1000 }), TypeError);
+        assert.equal(map.get(C), 3);
+    });
+
+    await ctx.test('garbage collection', async () => {
+        v8.setFlagsFromString('--expose-gc');
+        const gc = vm.runInNewContext('gc');
+        const map = WeakDict.create({ weakValues: true });
+        let value = {};
+        map.set(A, value, 60000);
+        map.set(B, {}, 60000);
+        assert.throws(() => map.set(C, 1), TypeError);
+        assert.equal(map.has(C), false);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        gc();
+        assert.equal(map.get(A), value);
+        assert.equal(map.has(B), false);
+        value = null;
+        await new Promise(resolve => setTimeout(resolve, 0));
+        gc();
+        assert.equal(map.has(A), false);
+        map.clear();
+    });
+});